@@ -6,14 +6,19 @@ const relationsRoutes = require('./routes/relations');
 const queriesRoutes = require('./routes/queries');
 const advancedQueries = require('./routes/advancedQueries');
 const exportRankingTrendsRoutes = require('./routes/exportRankingTrends');
+const adminRoutes = require('./routes/admin');
+const trashRoutes = require('./routes/trash');
+const followsRoutes = require('./routes/follows');
+const batchRoutes = require('./routes/batch');
+const recommendationsRoutes = require('./routes/recommendations');
 const swaggerDocs = require('./swagger'); 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ['ETag'] })); // el ETag lleva la versión para If-Match
+app.use(express.json({ limit: '10mb' })); // límite amplio para las importaciones masivas
 
 // Registrar Swagger (asegúrate de que esta ruta no sea interceptada por otros middlewares)
 swaggerDocs(app);
@@ -24,6 +29,11 @@ app.use('/relations', relationsRoutes);
 app.use('/queries', queriesRoutes);
 app.use('/advanced', advancedQueries);
 app.use('/api', exportRankingTrendsRoutes);
+app.use('/admin', adminRoutes);
+app.use('/trash', trashRoutes);
+app.use('/users', followsRoutes);
+app.use('/batch', batchRoutes);
+app.use('/recommendations', recommendationsRoutes);
 
 // Ruta de prueba
 app.get('/', (req, res) => {
@@ -0,0 +1,203 @@
+const httpError = require('./httpError');
+const { notDeleted } = require('./softDelete');
+const { toPlain } = require('./values');
+
+/**
+ * Centralidad de los usuarios en el grafo de seguidores (SIGUE_A), calculada en la aplicación
+ * (sin el plugin GDS de Neo4j) y guardada en memoria hasta que se pide recalcularla.
+ * La influencia fluye en sentido contrario a SIGUE_A: si A sigue a B, lo que publica B le llega a A.
+ * - pagerank: un usuario es influyente si lo siguen usuarios influyentes (amortiguación 0.85)
+ * - betweenness: fracción de caminos mínimos entre otros usuarios que pasan por él (Brandes, normalizada)
+ * - closeness: cercanía a los usuarios que alcanza su influencia (Wasserman-Faust, para grafos no conexos)
+ */
+
+const METRICS = ['pagerank', 'betweenness', 'closeness'];
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-6;
+// Cada cuántos usuarios de origen el cálculo de betweenness cede el event loop a otras solicitudes
+const YIELD_EVERY = 50;
+
+let cache = null;
+let pending = null;
+let generation = 0;
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Lee los usuarios activos y las relaciones SIGUE_A activas entre ellos.
+// El grafo se arma sobre elementId, porque puede haber usuarios con el mismo id; el id solo se informa
+async function loadFollowGraph(session) {
+  const users = await session.run(`
+    MATCH (u:Usuario) WHERE ${notDeleted('u')}
+    RETURN elementId(u) AS key, u.id AS id, u.nombre AS name
+    ORDER BY id, key
+  `);
+  const follows = await session.run(`
+    MATCH (a:Usuario)-[s:SIGUE_A]->(b:Usuario)
+    WHERE ${notDeleted('a', 's', 'b')} AND a <> b
+    RETURN DISTINCT elementId(a) AS follower, elementId(b) AS followed
+  `);
+
+  const keys = users.records.map(record => record.get('key'));
+  const ids = users.records.map(record => toPlain(record.get('id')));
+  const names = users.records.map(record => record.get('name'));
+  const index = new Map(keys.map((key, i) => [key, i]));
+  // followers[i]: quienes siguen a i (hacia donde fluye su influencia); following[i]: a quienes sigue i
+  const followers = ids.map(() => []);
+  const following = ids.map(() => []);
+  follows.records.forEach(record => {
+    const from = index.get(record.get('follower'));
+    const to = index.get(record.get('followed'));
+    if (from === undefined || to === undefined) return;
+    following[from].push(to);
+    followers[to].push(from);
+  });
+
+  return { ids, names, followers, following, edges: follows.records.length };
+}
+
+function pageRank({ ids, followers, following }) {
+  const n = ids.length;
+  let rank = new Array(n).fill(1 / n);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    // El rango de quienes no siguen a nadie se reparte entre todos
+    const dangling = rank.reduce((sum, value, i) => (following[i].length === 0 ? sum + value : sum), 0);
+    const next = rank.map((_, i) => {
+      const incoming = followers[i].reduce((sum, j) => sum + rank[j] / following[j].length, 0);
+      return (1 - DAMPING) / n + DAMPING * (incoming + dangling / n);
+    });
+    const change = next.reduce((sum, value, i) => sum + Math.abs(value - rank[i]), 0);
+    rank = next;
+    if (change < TOLERANCE) break;
+  }
+  return rank;
+}
+
+// Distancias BFS desde `source` siguiendo `neighbors`
+function breadthFirst(source, neighbors) {
+  const distance = new Array(neighbors.length).fill(-1);
+  const order = [];
+  const paths = new Array(neighbors.length).fill(0);
+  const predecessors = neighbors.map(() => []);
+  distance[source] = 0;
+  paths[source] = 1;
+
+  for (let head = 0, queue = [source]; head < queue.length; head++) {
+    const v = queue[head];
+    order.push(v);
+    neighbors[v].forEach(w => {
+      if (distance[w] < 0) {
+        distance[w] = distance[v] + 1;
+        queue.push(w);
+      }
+      if (distance[w] === distance[v] + 1) {
+        paths[w] += paths[v];
+        predecessors[w].push(v);
+      }
+    });
+  }
+  return { distance, order, paths, predecessors };
+}
+
+// Brandes es O(V·E): se cede el event loop cada YIELD_EVERY orígenes para no bloquear las demás solicitudes
+async function betweennessAndCloseness({ ids, followers }) {
+  const n = ids.length;
+  const betweenness = new Array(n).fill(0);
+  const closeness = new Array(n).fill(0);
+
+  for (let s = 0; s < n; s++) {
+    if (s > 0 && s % YIELD_EVERY === 0) await yieldToEventLoop();
+    const { distance, order, paths, predecessors } = breadthFirst(s, followers);
+
+    const reached = order.length - 1;
+    const total = distance.reduce((sum, d) => (d > 0 ? sum + d : sum), 0);
+    if (total > 0 && n > 1) closeness[s] = (reached / (n - 1)) * (reached / total);
+
+    const dependency = new Array(n).fill(0);
+    for (let i = order.length - 1; i > 0; i--) {
+      const w = order[i];
+      predecessors[w].forEach(v => {
+        dependency[v] += (paths[v] / paths[w]) * (1 + dependency[w]);
+      });
+      betweenness[w] += dependency[w];
+    }
+  }
+
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+  return { betweenness: betweenness.map(value => value * scale), closeness };
+}
+
+/**
+ * Recalcula las tres métricas y reemplaza el caché.
+ * Cada llamada lee el grafo de nuevo aunque haya otro cálculo en curso, para reflejar los cambios
+ * hechos antes de pedirla; si termina después de un cálculo más reciente, no pisa su resultado.
+ */
+function recomputeCentrality(session) {
+  const run = ++generation;
+  const computation = (async () => {
+    const started = Date.now();
+    const graph = await loadFollowGraph(session);
+    const pagerank = graph.ids.length > 0 ? pageRank(graph) : [];
+    const { betweenness, closeness } = await betweennessAndCloseness(graph);
+
+    const centrality = {
+      computedAt: new Date().toISOString(),
+      durationMs: Date.now() - started,
+      users: graph.ids.length,
+      edges: graph.edges,
+      scores: graph.ids.map((id, i) => ({
+        id,
+        name: graph.names[i],
+        followers: graph.followers[i].length,
+        pagerank: pagerank[i],
+        betweenness: betweenness[i],
+        closeness: closeness[i]
+      }))
+    };
+    if (run === generation) cache = centrality;
+    return centrality;
+  })().finally(() => {
+    if (pending === computation) pending = null;
+  });
+
+  pending = computation;
+  return computation;
+}
+
+// Devuelve el caché; la primera vez lo calcula, reutilizando el cálculo en curso si lo hay
+async function getCentrality(session) {
+  return cache || pending || recomputeCentrality(session);
+}
+
+function describeCache(centrality) {
+  const { computedAt, durationMs, users, edges } = centrality;
+  return { computedAt, durationMs, users, edges };
+}
+
+// Lee metric (pagerank | betweenness | closeness) desde req.query
+function parseMetric(query) {
+  const metric = String(query.metric || 'pagerank').toLowerCase();
+  if (!METRICS.includes(metric)) {
+    throw httpError(400, `El parámetro 'metric' debe ser uno de: ${METRICS.join(', ')}.`);
+  }
+  return metric;
+}
+
+// Ordena los usuarios por la métrica (de mayor a menor) y devuelve la página pedida
+function rankBy(centrality, metric, { limit, offset }) {
+  // sort es estable: los empates quedan en el orden de carga (por id)
+  const ranked = [...centrality.scores].sort((a, b) => b[metric] - a[metric]);
+  return ranked.slice(offset, offset + limit).map((entry, i) => ({ rank: offset + i + 1, ...entry }));
+}
+
+module.exports = {
+  METRICS,
+  recomputeCentrality,
+  getCentrality,
+  describeCache,
+  parseMetric,
+  rankBy
+};
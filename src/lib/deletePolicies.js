@@ -0,0 +1,149 @@
+const httpError = require('./httpError');
+const { notDeleted, softDeleteNodes } = require('./softDelete');
+const { toPlain } = require('./values');
+
+/**
+ * Políticas de eliminación por label.
+ * - restrict: relaciones que impiden eliminar el nodo mientras existan (409)
+ * - cascade: relaciones cuyos nodos dependientes se eliminan junto con el nodo, siempre que
+ *   no dependan también de otro nodo que sigue activo (ej. una publicación con otro autor)
+ * Las relaciones no listadas se desconectan del nodo (detach), que es la política por defecto.
+ * Cada regla indica el tipo y la dirección vista desde el nodo que se elimina (out | in).
+ */
+const DELETE_POLICIES = {
+  Usuario: {
+    cascade: [{ type: 'PUBLICA', direction: 'out' }]
+  },
+  Conferencia: {
+    restrict: [{ type: 'PRESENTADA_EN', direction: 'in' }]
+  },
+  Categoría: {
+    restrict: [{ type: 'RELACIONADO_CON', direction: 'in' }]
+  }
+};
+
+// Reglas de un tipo (cascade | restrict) de todos los labels, cada una con el label al que se aplica
+function rulesOf(kind) {
+  return Object.entries(DELETE_POLICIES).flatMap(([label, policy]) => (policy[kind] || []).map(rule => ({ label, ...rule })));
+}
+
+// Patrón (from)-[rel:T]->(to) según la dirección de la regla, vista desde `from`
+function rulePattern({ type, direction }, from, rel, to) {
+  return direction === 'in'
+    ? `(${from})<-[${rel}:\`${type}\`]-(${to})`
+    : `(${from})-[${rel}:\`${type}\`]->(${to})`;
+}
+
+/**
+ * Calcula qué se eliminaría junto con los nodos indicados (por elementId), sin modificar nada.
+ * Devuelve { elementIds, nodes, byLabel, cascaded, relationships, blocked }:
+ * - cascaded: nodos dependientes agregados por las reglas cascade ({ labels, id, via })
+ * - relationships: relaciones activas que se eliminan, { total, byType }
+ * - blocked: violaciones de las reglas restrict ({ id, labels, relation, direction, count })
+ */
+async function planDeletion(tx, elementIds) {
+  const deleting = new Set(elementIds);
+  const labelsById = new Map();
+  const cascaded = [];
+  let frontier = elementIds;
+
+  while (frontier.length > 0) {
+    const found = await tx.run(`
+      MATCH (n) WHERE elementId(n) IN $frontier
+      RETURN elementId(n) AS elementId, labels(n) AS labels, n.id AS id
+    `, { frontier });
+    found.records.forEach(record => {
+      labelsById.set(record.get('elementId'), { labels: record.get('labels'), id: toPlain(record.get('id')) });
+    });
+
+    // Cada regla se evalúa una vez por frontera, sobre todos los nodos de su label
+    const next = [];
+    for (const rule of rulesOf('cascade')) {
+      const dependents = await tx.run(`
+        MATCH ${rulePattern(rule, 'n', 'r', 'm')}
+        WHERE elementId(n) IN $frontier AND n:\`${rule.label}\` AND ${notDeleted('r', 'm')} AND NOT elementId(m) IN $deleting
+          AND NOT EXISTS {
+            MATCH ${rulePattern(rule, 'owner', 'o', 'm')}
+            WHERE ${notDeleted('o', 'owner')} AND NOT elementId(owner) IN $deleting
+          }
+        RETURN DISTINCT elementId(m) AS elementId, labels(m) AS labels, m.id AS id
+      `, { frontier, deleting: [...deleting] });
+
+      dependents.records.forEach(dependent => {
+        if (deleting.has(dependent.get('elementId'))) return;
+        deleting.add(dependent.get('elementId'));
+        next.push(dependent.get('elementId'));
+        cascaded.push({ labels: dependent.get('labels'), id: toPlain(dependent.get('id')), via: rule.type });
+      });
+    }
+    frontier = next;
+  }
+
+  // Las reglas restrict se revisan sobre el conjunto completo: no cuentan las relaciones entre nodos que se eliminan
+  const all = [...deleting];
+  const blocked = [];
+  for (const rule of rulesOf('restrict')) {
+    const result = await tx.run(`
+      MATCH ${rulePattern(rule, 'n', 'r', 'm')}
+      WHERE elementId(n) IN $deleting AND n:\`${rule.label}\` AND ${notDeleted('r', 'm')} AND NOT elementId(m) IN $deleting
+      RETURN elementId(n) AS elementId, count(DISTINCT r) AS total
+    `, { deleting: all });
+    result.records.forEach(record => {
+      const { labels, id } = labelsById.get(record.get('elementId'));
+      blocked.push({ id, labels, relation: rule.type, direction: rule.direction, count: record.get('total').toNumber() });
+    });
+  }
+
+  const relResult = await tx.run(`
+    MATCH (n)-[r]-() WHERE elementId(n) IN $deleting AND ${notDeleted('r')}
+    WITH DISTINCT r
+    RETURN type(r) AS type, count(r) AS total
+  `, { deleting: all });
+  const byType = Object.fromEntries(relResult.records.map(record => [record.get('type'), record.get('total').toNumber()]));
+
+  const byLabel = {};
+  labelsById.forEach(({ labels }) => labels.forEach(label => { byLabel[label] = (byLabel[label] || 0) + 1; }));
+
+  return {
+    elementIds: all,
+    nodes: all.length,
+    byLabel,
+    cascaded,
+    relationships: { total: Object.values(byType).reduce((sum, count) => sum + count, 0), byType },
+    blocked
+  };
+}
+
+/**
+ * Aplica las políticas y elimina los nodos indicados dentro de la transacción `tx`:
+ * con permanent se ejecuta DETACH DELETE, si no los nodos (y sus dependientes) pasan a la papelera.
+ * Lanza 409 si alguna regla restrict lo impide. Devuelve el resumen de planDeletion.
+ */
+async function deleteWithPolicies(tx, elementIds, { permanent = false } = {}) {
+  const plan = await planDeletion(tx, elementIds);
+  if (plan.blocked.length > 0) {
+    throw httpError(409, "No se puede eliminar: existen relaciones que lo impiden según la política del label.", plan.blocked);
+  }
+
+  let deletionId = null;
+  if (permanent) {
+    await tx.run('MATCH (n) WHERE elementId(n) IN $elementIds DETACH DELETE n', { elementIds: plan.elementIds });
+  } else {
+    ({ deletionId } = await softDeleteNodes(tx, plan.elementIds));
+  }
+
+  return {
+    permanent,
+    deletionId,
+    nodes: plan.nodes,
+    byLabel: plan.byLabel,
+    cascaded: plan.cascaded,
+    relationships: plan.relationships
+  };
+}
+
+module.exports = {
+  DELETE_POLICIES,
+  planDeletion,
+  deleteWithPolicies
+};
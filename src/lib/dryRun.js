@@ -0,0 +1,118 @@
+const neo4j = require('neo4j-driver');
+const { toPlain } = require('./values');
+const { SYSTEM_FIELDS } = require('./versioning');
+
+/**
+ * Vista previa (dryRun=true) de las rutas masivas.
+ * Solo se ejecutan lecturas: se cuentan los elementos afectados y se calcula,
+ * para una muestra, cómo quedarían sus propiedades después del cambio.
+ */
+
+const DRY_RUN_SAMPLE_SIZE = 10;
+
+function isDryRun(query) {
+  return String(query.dryRun).toLowerCase() === 'true';
+}
+
+// Aplica un SET parcial (n.key = value, donde null elimina la propiedad)
+function applySet(before, values) {
+  const after = { ...before };
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === null) delete after[key];
+    else after[key] = value;
+  });
+  return after;
+}
+
+// Aplica un reemplazo completo (PUT): quedan las propiedades nuevas más los campos de sistema
+function applyReplace(before, values) {
+  const after = { ...values };
+  SYSTEM_FIELDS.forEach(field => {
+    if (before[field] !== undefined) after[field] = before[field];
+  });
+  return after;
+}
+
+// Aplica un REMOVE de propiedades
+function applyRemove(before, keys) {
+  const after = { ...before };
+  keys.forEach(key => delete after[key]);
+  return after;
+}
+
+/**
+ * Cuenta los elementos que cumplen `match` + `where` y devuelve una muestra con el antes y el después.
+ * - alias: variable del nodo o relación afectada
+ * - identity: expresión Cypher que identifica cada elemento en la respuesta (ej. n.id)
+ * - change: función (propiedadesAntes) => propiedadesDespués, o null si el elemento se elimina
+ */
+async function previewChanges(session, { match, where, params, alias, identity, change }) {
+  return session.executeRead(async tx => {
+    const countResult = await tx.run(
+      `${match} WHERE ${where} RETURN count(${alias}) AS total`,
+      params
+    );
+    const sampleResult = await tx.run(`
+      ${match} WHERE ${where}
+      RETURN ${identity} AS identity, properties(${alias}) AS props
+      LIMIT $dryRun_sample
+    `, { ...params, dryRun_sample: neo4j.int(DRY_RUN_SAMPLE_SIZE) });
+
+    return {
+      dryRun: true,
+      affected: countResult.records[0].get('total').toNumber(),
+      sample: sampleResult.records.map(record => {
+        const before = record.get('props');
+        return {
+          item: toPlain(record.get('identity')),
+          before: toPlain(before),
+          after: change ? toPlain(change(before)) : null
+        };
+      })
+    };
+  });
+}
+
+/**
+ * Relaciones activas que se eliminarían junto con los nodos que cumplen `match` + `where` (alias n).
+ */
+async function previewDetachedRelationships(session, { match, where, params }) {
+  return session.executeRead(async tx => {
+    const byTypeResult = await tx.run(`
+      ${match} WHERE ${where}
+      MATCH (n)-[r]-()
+      WHERE r.eliminado IS NULL
+      WITH DISTINCT r
+      RETURN type(r) AS type, count(r) AS total
+      ORDER BY total DESC
+    `, params);
+    const sampleResult = await tx.run(`
+      ${match} WHERE ${where}
+      MATCH (n)-[r]-()
+      WHERE r.eliminado IS NULL
+      WITH DISTINCT r
+      RETURN type(r) AS type,
+             {labels: labels(startNode(r)), id: startNode(r).id} AS from,
+             {labels: labels(endNode(r)), id: endNode(r).id} AS to
+      LIMIT $dryRun_sample
+    `, { ...params, dryRun_sample: neo4j.int(DRY_RUN_SAMPLE_SIZE) });
+
+    const byType = Object.fromEntries(
+      byTypeResult.records.map(record => [record.get('type'), record.get('total').toNumber()])
+    );
+    return {
+      total: Object.values(byType).reduce((sum, count) => sum + count, 0),
+      byType,
+      sample: sampleResult.records.map(record => toPlain(record.toObject()))
+    };
+  });
+}
+
+module.exports = {
+  isDryRun,
+  applySet,
+  applyReplace,
+  applyRemove,
+  previewChanges,
+  previewDetachedRelationships
+};
@@ -0,0 +1,10 @@
+// Crea un error con código HTTP asociado, para que las rutas respondan
+// con el status correcto en lugar de un 500 genérico.
+function httpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+}
+
+module.exports = httpError;
@@ -0,0 +1,170 @@
+const express = require('express');
+const httpError = require('./httpError');
+
+/**
+ * Lectura de filas para las rutas de importación masiva.
+ * Acepta un arreglo JSON, NDJSON (un objeto JSON por línea) o CSV con encabezados.
+ * Cada fila conserva su número (línea en NDJSON/CSV, posición en JSON) para el reporte.
+ */
+
+const MAX_IMPORT_SIZE = '10mb';
+
+// Parser del cuerpo en texto plano para NDJSON y CSV (el JSON lo procesa express.json)
+const textBody = express.text({
+  type: ['text/csv', 'application/csv', 'application/x-ndjson', 'application/ndjson', 'text/plain'],
+  limit: MAX_IMPORT_SIZE
+});
+
+function detectFormat(req) {
+  const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+  if (format) {
+    if (!['json', 'ndjson', 'csv'].includes(format)) {
+      throw httpError(400, "El parámetro 'format' debe ser json, ndjson o csv.");
+    }
+    return format;
+  }
+  if (req.is('text/csv') || req.is('application/csv')) return 'csv';
+  if (req.is('application/x-ndjson') || req.is('application/ndjson')) return 'ndjson';
+  return 'json';
+}
+
+// Separa un texto CSV en registros respetando comillas, comillas escapadas ("") y saltos de línea entre comillas
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field.length > 0 || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+  }
+
+  // Se descartan las líneas vacías
+  return records.filter(({ values }) => values.length > 1 || values[0].trim() !== '');
+}
+
+function parseCsv(text) {
+  const [header, ...records] = parseCsvRecords(text.replace(/^\uFEFF/, ''));
+  if (!header) return { rows: [], failures: [] };
+
+  const columns = header.values.map(column => column.trim());
+  const rows = [];
+  const failures = [];
+
+  records.forEach(({ line, values }) => {
+    if (values.length !== columns.length) {
+      failures.push({ row: line, reason: `Se esperaban ${columns.length} columnas y se encontraron ${values.length}.` });
+      return;
+    }
+    // Las celdas vacías se omiten para que apliquen los valores por defecto del esquema
+    const data = {};
+    columns.forEach((column, index) => {
+      if (values[index] !== '') data[column] = values[index];
+    });
+    rows.push({ row: line, data, fromText: true });
+  });
+
+  return { rows, failures };
+}
+
+function parseNdjson(text) {
+  const rows = [];
+  const failures = [];
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (content.trim() === '') return;
+    try {
+      rows.push({ row: index + 1, data: JSON.parse(content) });
+    } catch (error) {
+      failures.push({ row: index + 1, reason: `JSON inválido: ${error.message}` });
+    }
+  });
+
+  return { rows, failures };
+}
+
+/**
+ * Devuelve { format, rows, failures }.
+ * rows: [{ row, data, fromText }] donde fromText indica que los valores llegaron como texto (CSV).
+ * failures: filas que no se pudieron leer, con el motivo.
+ */
+function readImportRows(req) {
+  const format = detectFormat(req);
+
+  let parsed;
+  if (format === 'json') {
+    const body = Array.isArray(req.body) ? req.body : req.body && req.body.rows;
+    if (!Array.isArray(body)) {
+      throw httpError(400, "Se requiere un arreglo JSON de filas (o un objeto con la propiedad 'rows').");
+    }
+    parsed = { rows: body.map((data, index) => ({ row: index + 1, data })), failures: [] };
+  } else {
+    if (typeof req.body !== 'string') {
+      throw httpError(400, `Se esperaba un cuerpo de texto en formato ${format}.`);
+    }
+    parsed = format === 'csv' ? parseCsv(req.body) : parseNdjson(req.body);
+  }
+
+  // Cada fila debe ser un objeto
+  const rows = [];
+  const failures = [...parsed.failures];
+  parsed.rows.forEach(entry => {
+    if (!entry.data || typeof entry.data !== 'object' || Array.isArray(entry.data)) {
+      failures.push({ row: entry.row, reason: 'La fila debe ser un objeto.' });
+    } else {
+      rows.push(entry);
+    }
+  });
+
+  return { format, rows, failures };
+}
+
+// Lee y valida el tamaño de lote (?batchSize=)
+function parseBatchSize(query, defaultSize = 500, maxSize = 5000) {
+  if (query.batchSize === undefined) return defaultSize;
+  const size = Number(query.batchSize);
+  if (!Number.isInteger(size) || size < 1 || size > maxSize) {
+    throw httpError(400, `El parámetro 'batchSize' debe ser un entero entre 1 y ${maxSize}.`);
+  }
+  return size;
+}
+
+module.exports = {
+  MAX_IMPORT_SIZE,
+  textBody,
+  readImportRows,
+  parseBatchSize
+};
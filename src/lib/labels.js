@@ -0,0 +1,152 @@
+const httpError = require('./httpError');
+const { sanitizeLabel } = require('./queryBuilder');
+const { validateNode } = require('./schemas');
+const { advanceSequence } = require('./sequences');
+const { bumpVersion } = require('./versioning');
+const { toPlain } = require('./values');
+
+/**
+ * Cambio de labels de nodos existentes (agregar, quitar o reemplazar).
+ * El nodo conserva su id y sus relaciones. Al recibir un label nuevo:
+ * - se valida contra el esquema combinado de todos sus labels (obligatorios y valores por defecto),
+ * - su id no puede repetirse entre los nodos de ese label (409),
+ * - la secuencia del label se adelanta para no volver a entregar ese id.
+ */
+
+// Labels internos que no se pueden asignar desde la API
+const RESERVED_LABELS = ['Secuencia'];
+
+// Lee la lista de labels del body (arreglo o texto separado por comas) y los sanitiza
+function parseLabels(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  const labels = [...new Set(
+    list.map(label => sanitizeLabel(String(label).trim())).filter(label => label.length > 0)
+  )];
+
+  if (labels.length === 0) {
+    throw httpError(400, "Se requiere al menos un label válido en 'labels'.");
+  }
+  const reserved = labels.filter(label => RESERVED_LABELS.includes(label));
+  if (reserved.length > 0) {
+    throw httpError(400, `No se pueden asignar labels reservados: ${reserved.join(', ')}.`);
+  }
+  return labels;
+}
+
+function resultingLabels(current, mode, labels) {
+  if (mode === 'add') return [...new Set([...current, ...labels])];
+  if (mode === 'remove') return current.filter(label => !labels.includes(label));
+  return labels;
+}
+
+/**
+ * Aplica el cambio de labels a los nodos indicados (por elementId) dentro de la transacción `tx`.
+ * Devuelve [{ labels, added, removed, properties }] con el estado final de cada nodo.
+ */
+async function changeLabels(tx, elementIds, mode, labels) {
+  const found = await tx.run(`
+    MATCH (n) WHERE elementId(n) IN $elementIds
+    RETURN elementId(n) AS elementId, labels(n) AS labels, properties(n) AS props
+  `, { elementIds });
+
+  const errors = [];
+  const changes = found.records.map(record => {
+    const current = record.get('labels');
+    const props = record.get('props');
+    const next = resultingLabels(current, mode, labels);
+
+    if (next.length === 0) {
+      errors.push({ id: toPlain(props.id), message: 'el nodo debe conservar al menos un label' });
+      return null;
+    }
+    try {
+      return {
+        elementId: record.get('elementId'),
+        id: props.id,
+        added: next.filter(label => !current.includes(label)),
+        removed: current.filter(label => !next.includes(label)),
+        props: validateNode(next, props)
+      };
+    } catch (error) {
+      if (!error.status) throw error;
+      errors.push({ id: toPlain(props.id), message: error.message, errors: toPlain(error.details) });
+      return null;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw httpError(422, "Los nodos no cumplen el esquema de sus nuevos labels.", errors);
+  }
+
+  // Agrupar por label para escribir cada label una sola vez (los labels no pueden ir como parámetro)
+  const byLabel = (key) => changes.reduce((groups, change) => {
+    change[key].forEach(label => {
+      if (!groups[label]) groups[label] = [];
+      groups[label].push(change);
+    });
+    return groups;
+  }, {});
+  const toAdd = byLabel('added');
+  const toRemove = byLabel('removed');
+
+  for (const [label, group] of Object.entries(toAdd)) {
+    // Nodos del mismo cambio (de labels distintos) que compartirían id en el label nuevo
+    const seen = new Set();
+    group.forEach(change => {
+      const id = toPlain(change.id);
+      if (seen.has(id)) throw httpError(409, `Dos nodos con id ${id} quedarían con el label ${label}.`, { label, id });
+      seen.add(id);
+    });
+
+    const conflict = await tx.run(`
+      MATCH (n) WHERE elementId(n) IN $elementIds
+      MATCH (other:\`${label}\`)
+      WHERE other.id = n.id AND other <> n
+      RETURN n.id AS id
+      LIMIT 1
+    `, { elementIds: group.map(change => change.elementId) });
+    if (conflict.records.length > 0) {
+      const id = toPlain(conflict.records[0].get('id'));
+      throw httpError(409, `Ya existe un nodo ${label} con id ${id}.`, { label, id });
+    }
+
+    await tx.run(`
+      MATCH (n) WHERE elementId(n) IN $elementIds
+      SET n:\`${label}\`
+    `, { elementIds: group.map(change => change.elementId) });
+
+    const ids = group.map(change => toPlain(change.id)).filter(id => typeof id === 'number');
+    if (ids.length > 0) await advanceSequence(tx, label, Math.max(...ids));
+  }
+
+  for (const [label, group] of Object.entries(toRemove)) {
+    await tx.run(`
+      MATCH (n) WHERE elementId(n) IN $elementIds
+      REMOVE n:\`${label}\`
+    `, { elementIds: group.map(change => change.elementId) });
+  }
+
+  // Propiedades con los valores por defecto de los nuevos labels y nueva versión
+  const updated = await tx.run(`
+    UNWIND $rows AS row
+    MATCH (n) WHERE elementId(n) = row.elementId
+    SET n += row.props, ${bumpVersion('n')}
+    RETURN elementId(n) AS elementId, labels(n) AS labels, properties(n) AS props
+  `, { rows: changes.map(({ elementId, props }) => ({ elementId, props })) });
+
+  const changesById = new Map(changes.map(change => [change.elementId, change]));
+  return updated.records.map(record => {
+    const change = changesById.get(record.get('elementId'));
+    return {
+      labels: record.get('labels'),
+      added: change.added,
+      removed: change.removed,
+      properties: record.get('props')
+    };
+  });
+}
+
+module.exports = {
+  parseLabels,
+  changeLabels
+};
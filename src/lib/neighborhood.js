@@ -0,0 +1,131 @@
+const neo4j = require('neo4j-driver');
+const httpError = require('./httpError');
+const { sanitizeLabel } = require('./queryBuilder');
+const { notDeleted } = require('./softDelete');
+const { toPlain } = require('./values');
+const { parseInteger } = require('./queryParams');
+
+/**
+ * Expansión del vecindario de un nodo para las vistas de grafo.
+ * Se recorre nivel por nivel (hasta `depth` saltos) desde el nodo inicial y se devuelve
+ * la estructura { nodes, edges }: los nodos con sus labels y las relaciones con su tipo y extremos.
+ * Solo se recorren elementos activos (los que están en la papelera no se muestran).
+ */
+
+const DIRECTIONS = ['out', 'in', 'both'];
+const MAX_DEPTH = 3;
+const DEFAULT_TYPE_LIMIT = 25;
+const MAX_TYPE_LIMIT = 500;
+// Tope de nodos de la respuesta, para que una expansión profunda no traiga medio grafo
+const MAX_NODES = 1000;
+
+/**
+ * Lee direction, types, depth, limit y limits desde req.query.
+ * - types: tipos de relación separados por coma (todos si se omite)
+ * - limit: máximo de relaciones por tipo para cada nodo expandido
+ * - limits: límites por tipo que reemplazan a limit, ej. limits=SIGUE_A:10,PUBLICA:5
+ */
+function parseNeighborhood(query) {
+  const direction = String(query.direction || 'both').toLowerCase();
+  if (!DIRECTIONS.includes(direction)) {
+    throw httpError(400, "El parámetro 'direction' debe ser in, out o both.");
+  }
+
+  const types = query.types
+    ? [...new Set(String(query.types).split(',').map(type => sanitizeLabel(type.trim())).filter(type => type.length > 0))]
+    : [];
+
+  const depth = parseInteger(query.depth, 'depth', 1, MAX_DEPTH, 1);
+  const defaultLimit = parseInteger(query.limit, 'limit', 1, MAX_TYPE_LIMIT, DEFAULT_TYPE_LIMIT);
+
+  const limits = {};
+  if (query.limits) {
+    String(query.limits).split(',').forEach(entry => {
+      const [type, value] = entry.split(':').map(part => part.trim());
+      const name = sanitizeLabel(type || '');
+      if (!name || !value) {
+        throw httpError(400, "El parámetro 'limits' debe tener la forma TIPO:n, ej. SIGUE_A:10,PUBLICA:5.");
+      }
+      limits[name] = parseInteger(value, `limits.${name}`, 1, MAX_TYPE_LIMIT);
+    });
+  }
+
+  return { direction, types, depth, defaultLimit, limits };
+}
+
+function relationshipPattern(direction, types) {
+  const typeFilter = types.length > 0 ? `:${types.join('|')}` : '';
+  if (direction === 'out') return `(n)-[r${typeFilter}]->(m)`;
+  if (direction === 'in') return `(n)<-[r${typeFilter}]-(m)`;
+  return `(n)-[r${typeFilter}]-(m)`;
+}
+
+function nodeFromRecord(key, labels, properties, depth) {
+  return { key, labels, id: toPlain(properties.id), depth, properties: toPlain(properties) };
+}
+
+/**
+ * Expande el vecindario del nodo `label` con id `id`. Devuelve null si el nodo no existe.
+ */
+async function expandNeighborhood(session, { label, id, direction, types, depth, defaultLimit, limits }) {
+  return session.executeRead(async tx => {
+    const start = await tx.run(`
+      MATCH (n:${label} {id: $id}) WHERE ${notDeleted('n')}
+      RETURN elementId(n) AS key, labels(n) AS labels, properties(n) AS props
+    `, { id });
+    if (start.records.length === 0) return null;
+
+    const root = start.records[0];
+    const nodes = new Map([[root.get('key'), nodeFromRecord(root.get('key'), root.get('labels'), root.get('props'), 0)]]);
+    const edges = new Map();
+    let frontier = [root.get('key')];
+    let truncated = false;
+    const typeLimits = Object.fromEntries(Object.entries(limits).map(([type, value]) => [type, neo4j.int(value)]));
+
+    for (let level = 1; level <= depth && frontier.length > 0 && !truncated; level++) {
+      // Para cada nodo de la frontera se toman hasta N relaciones de cada tipo
+      const result = await tx.run(`
+        MATCH ${relationshipPattern(direction, types)}
+        WHERE elementId(n) IN $frontier AND ${notDeleted('r', 'm')}
+        WITH n, type(r) AS type, r, m
+        ORDER BY elementId(r)
+        WITH n, type, collect({r: r, m: m}) AS found
+        WITH n, type, found[..coalesce($limits[type], $defaultLimit)] AS kept
+        UNWIND kept AS item
+        WITH item.r AS r, item.m AS m
+        RETURN elementId(r) AS key, type(r) AS type, elementId(startNode(r)) AS source, elementId(endNode(r)) AS target,
+               properties(r) AS props, elementId(m) AS nodeKey, labels(m) AS labels, properties(m) AS nodeProps
+      `, { frontier, limits: typeLimits, defaultLimit: neo4j.int(defaultLimit) });
+
+      const next = [];
+      for (const record of result.records) {
+        const nodeKey = record.get('nodeKey');
+        if (!nodes.has(nodeKey)) {
+          if (nodes.size >= MAX_NODES) {
+            truncated = true;
+            break;
+          }
+          nodes.set(nodeKey, nodeFromRecord(nodeKey, record.get('labels'), record.get('nodeProps'), level));
+          next.push(nodeKey);
+        }
+        if (!edges.has(record.get('key'))) {
+          edges.set(record.get('key'), {
+            key: record.get('key'),
+            type: record.get('type'),
+            source: record.get('source'),
+            target: record.get('target'),
+            properties: toPlain(record.get('props'))
+          });
+        }
+      }
+      frontier = next;
+    }
+
+    return { root: root.get('key'), nodes: [...nodes.values()], edges: [...edges.values()], truncated };
+  });
+}
+
+module.exports = {
+  parseNeighborhood,
+  expandNeighborhood
+};
@@ -0,0 +1,143 @@
+const neo4j = require('neo4j-driver');
+const httpError = require('./httpError');
+const { temporalFunction } = require('./values');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Parámetros de query reservados para la paginación (no se usan como filtros)
+const PAGINATION_KEYS = ['limit', 'after', 'orderBy', 'direction', 'fields', 'count'];
+
+// Guarda un valor junto con su tipo Neo4j para poder reconstruirlo al decodificar el cursor
+function encodeValue(value) {
+  if (neo4j.isInt(value)) return { t: 'int', v: value.toString() };
+  const fn = temporalFunction(value);
+  if (fn) return { t: fn, v: value.toString() };
+  return { v: value === undefined ? null : value };
+}
+
+function encodeCursor(sortValue, tiebreakerValue) {
+  const payload = JSON.stringify({ s: encodeValue(sortValue), k: encodeValue(tiebreakerValue) });
+  return Buffer.from(payload, 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { s, k } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!s || !k) throw new Error('cursor incompleto');
+    return { sort: s, tiebreaker: k };
+  } catch (error) {
+    throw httpError(400, "El parámetro 'after' no es un cursor válido.");
+  }
+}
+
+// Devuelve la expresión Cypher para un valor del cursor y registra su parámetro
+function cursorExpression(encoded, paramName, params) {
+  if (encoded.t === 'int') {
+    params[paramName] = neo4j.int(encoded.v);
+    return `$${paramName}`;
+  }
+  params[paramName] = encoded.v;
+  return encoded.t ? `${encoded.t}($${paramName})` : `$${paramName}`;
+}
+
+/**
+ * Lee limit, after, orderBy, direction, fields y count desde req.query.
+ * Con `defaultLimit: null`, si no se envía ni limit ni after se devuelven todos los resultados (limit null).
+ * Lanza un error 400 si algún valor es inválido.
+ */
+function parsePagination(query, { defaultOrderBy = null, defaultLimit = DEFAULT_LIMIT } = {}) {
+  let limit = defaultLimit === null && query.after ? DEFAULT_LIMIT : defaultLimit;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw httpError(400, `El parámetro 'limit' debe ser un entero entre 1 y ${MAX_LIMIT}.`);
+    }
+  }
+
+  const direction = String(query.direction || 'asc').toLowerCase();
+  if (!['asc', 'desc'].includes(direction)) {
+    throw httpError(400, "El parámetro 'direction' debe ser 'asc' o 'desc'.");
+  }
+
+  const orderBy = query.orderBy ? String(query.orderBy) : defaultOrderBy;
+  const fields = query.fields
+    ? String(query.fields).split(',').map(field => field.trim()).filter(field => field.length > 0)
+    : null;
+
+  return {
+    limit,
+    direction,
+    orderBy,
+    fields: fields && fields.length > 0 ? fields : null,
+    after: query.after ? decodeCursor(String(query.after)) : null,
+    withCount: String(query.count).toLowerCase() === 'true'
+  };
+}
+
+/**
+ * Construye las cláusulas de paginación por cursor (keyset) para un alias.
+ * El orden es estable porque siempre se desempata con `tiebreaker`
+ * (por ejemplo `n.id` para nodos o `elementId(r)` para relaciones).
+ * Los nulos van al final en orden ascendente y al inicio en descendente, como en Neo4j.
+ */
+function buildPagination(alias, pagination, { tiebreaker }) {
+  const { orderBy, direction, after, limit } = pagination;
+  const params = limit === null ? {} : { page_limit: neo4j.int(limit + 1) };
+  const sortExpr = orderBy ? `${alias}[$page_orderBy]` : null;
+  if (orderBy) params.page_orderBy = orderBy;
+
+  const dir = direction === 'desc' ? 'DESC' : 'ASC';
+  const cmp = direction === 'desc' ? '<' : '>';
+  let condition = null;
+
+  if (after) {
+    const key = cursorExpression(after.tiebreaker, 'page_afterKey', params);
+    if (!sortExpr) {
+      condition = `${tiebreaker} ${cmp} ${key}`;
+    } else if (after.sort.v === null) {
+      condition = direction === 'desc'
+        ? `(${sortExpr} IS NOT NULL OR ${tiebreaker} < ${key})`
+        : `(${sortExpr} IS NULL AND ${tiebreaker} > ${key})`;
+    } else {
+      const value = cursorExpression(after.sort, 'page_afterValue', params);
+      const tail = direction === 'desc' ? '' : ` OR ${sortExpr} IS NULL`;
+      condition = `(${sortExpr} ${cmp} ${value} OR (${sortExpr} = ${value} AND ${tiebreaker} ${cmp} ${key})${tail})`;
+    }
+  }
+
+  const orderClause = sortExpr
+    ? `ORDER BY ${sortExpr} ${dir}, ${tiebreaker} ${dir}`
+    : `ORDER BY ${tiebreaker} ${dir}`;
+
+  return {
+    condition,
+    sortReturn: `${sortExpr || 'null'} AS page_sortValue, ${tiebreaker} AS page_tiebreaker`,
+    orderClause,
+    limitClause: limit === null ? '' : 'LIMIT $page_limit',
+    params
+  };
+}
+
+/**
+ * Recorta los registros obtenidos (se piden limit + 1) y calcula el siguiente cursor.
+ */
+function buildPage(records, pagination, mapRecord) {
+  const hasMore = pagination.limit !== null && records.length > pagination.limit;
+  const pageRecords = hasMore ? records.slice(0, pagination.limit) : records;
+  const last = pageRecords[pageRecords.length - 1];
+
+  return {
+    items: pageRecords.map(mapRecord),
+    nextCursor: hasMore
+      ? encodeCursor(last.get('page_sortValue'), last.get('page_tiebreaker'))
+      : null
+  };
+}
+
+module.exports = {
+  PAGINATION_KEYS,
+  parsePagination,
+  buildPagination,
+  buildPage
+};
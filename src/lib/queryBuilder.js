@@ -0,0 +1,207 @@
+const httpError = require('./httpError');
+
+/**
+ * Construcción segura de fragmentos Cypher para las rutas de nodos y relaciones.
+ * - Los labels y tipos de relación se sanitizan con sanitizeLabel.
+ * - Los nombres de propiedad se validan y se escriben entre comillas invertidas (n.`fecha de alta`).
+ * - Los valores siempre van como parámetros con prefijo (filter_0, set_0...), así un filtro y una
+ *   propiedad con el mismo nombre no se pisan.
+ *
+ * Gramática de filtros:
+ *
+ *   { "rol": "estudiante" }                              -> igualdad
+ *   { "reputación": { "gte": 50 } }                      -> comparación
+ *   { "fecha_publicación": { "between": ["2024-01-01", "2024-06-30"] } }
+ *   { "rol": { "in": "estudiante,investigador" } }
+ *   { "email": { "exists": false } }
+ *
+ * En query strings se escribe como reputación[gte]=50 (Express lo convierte al mismo objeto).
+ */
+
+const MAX_KEY_LENGTH = 255;
+
+// Función para sanitizar labels y tipos de relación (solo letras, incluidas acentuadas, números y guión bajo)
+function sanitizeLabel(label) {
+  return label.replace(/[^\p{L}\p{N}_]/gu, '');
+}
+
+// Un nombre de propiedad no puede estar vacío, tener comillas invertidas, caracteres de control ni espacios en los extremos
+function isValidPropertyKey(key) {
+  return typeof key === 'string'
+    && key.length > 0
+    && key.length <= MAX_KEY_LENGTH
+    && key.trim() === key
+    && !/[`\u0000-\u001F\u007F]/.test(key);
+}
+
+// Lanza un error 400 con la lista de nombres de propiedad inválidos
+function assertPropertyKeys(keys) {
+  const errors = keys
+    .filter(key => !isValidPropertyKey(key))
+    .map(field => ({ field, message: 'no es un nombre de propiedad válido' }));
+  if (errors.length > 0) {
+    throw httpError(400, "Nombres de propiedad inválidos.", errors);
+  }
+}
+
+// Referencia a una propiedad con el nombre entre comillas invertidas, ej. propertyRef('n', 'fecha de alta') -> n.`fecha de alta`
+function propertyRef(alias, key) {
+  assertPropertyKeys([key]);
+  return `${alias}.\`${key}\``;
+}
+
+/**
+ * Compila un mapa de propiedades a una lista de asignaciones para SET.
+ * Devuelve { clause, params }, ej. { clause: 'n.`rol` = $set_0', params: { set_0: 'profesor' } }.
+ */
+function buildSet(alias, values, { prefix = 'set' } = {}) {
+  const keys = Object.keys(values);
+  assertPropertyKeys(keys);
+
+  const params = {};
+  const assignments = keys.map((key, index) => {
+    params[`${prefix}_${index}`] = values[key];
+    return `${alias}.\`${key}\` = $${prefix}_${index}`;
+  });
+  return { clause: assignments.join(', '), params };
+}
+
+// Compila una lista de propiedades a una cláusula REMOVE, ej. REMOVE n.`a`, n.`b`
+function buildRemove(alias, keys) {
+  if (!Array.isArray(keys)) {
+    throw httpError(400, "Las propiedades a eliminar deben ser una lista de nombres.");
+  }
+  assertPropertyKeys(keys);
+  return `REMOVE ${keys.map(key => `${alias}.\`${key}\``).join(', ')}`;
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+// Función para convertir valores de query a su tipo correcto
+function parseValue(val) {
+  if (typeof val !== 'string') return val;
+  const lower = val.toLowerCase();
+  if (lower === 'true') return true;
+  if (lower === 'false') return false;
+  if (val.trim() !== '' && !isNaN(val)) return Number(val);
+  return val;
+}
+
+// Convierte "a,b" o ["a", "b"] en una lista
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map(item => item.trim());
+  return [value];
+}
+
+const COMPARISONS = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const RANGE_COMPARISONS = ['gt', 'gte', 'lt', 'lte'];
+const TEXT_OPERATORS = { contains: 'CONTAINS', startsWith: 'STARTS WITH', endsWith: 'ENDS WITH' };
+const OPERATORS = [...Object.keys(COMPARISONS), ...Object.keys(TEXT_OPERATORS), 'between', 'in', 'nin', 'exists'];
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Compila un objeto de filtros a condiciones Cypher parametrizadas.
+ * - alias: variable del nodo o relación (n, r...)
+ * - prefix: prefijo de los parámetros generados, para no chocar con otros parámetros de la query
+ * - fromQuery: true si los valores vienen de un query string (se convierten con parseValue)
+ * Devuelve { conditions, params }; lanza un error 400 ante operadores o valores inválidos.
+ */
+function buildFilter(alias, filter, { prefix = 'filter', fromQuery = false } = {}) {
+  const conditions = [];
+  const params = {};
+  let index = 0;
+
+  const convert = value => (fromQuery ? parseValue(value) : value);
+
+  // Registra el parámetro y devuelve su expresión. Con temporal (comparaciones de rango) las fechas ISO
+  // se convierten a date()/datetime()
+  const param = (value, { temporal = false } = {}) => {
+    const name = `${prefix}_${index++}`;
+    params[name] = value;
+    if (temporal && typeof value === 'string' && ISO_DATE.test(value)) return `date($${name})`;
+    if (temporal && typeof value === 'string' && ISO_DATETIME.test(value)) return `datetime($${name})`;
+    return `$${name}`;
+  };
+
+  // Expresiones con las que se compara un valor en igualdad e "in": una fecha ISO coincide tanto con
+  // la fecha guardada como texto como con el date()/datetime() de los nodos validados por el esquema
+  const equalityForms = value => {
+    const expression = param(value);
+    if (typeof value === 'string' && ISO_DATE.test(value)) return [expression, `date(${expression})`];
+    if (typeof value === 'string' && ISO_DATETIME.test(value)) return [expression, `datetime(${expression})`];
+    return [expression];
+  };
+
+  Object.entries(filter || {}).forEach(([key, spec]) => {
+    const property = propertyRef(alias, key);
+
+    // En query strings, una clave repetida (?rol=a&rol=b) equivale a "in"
+    const operations = isOperatorObject(spec)
+      ? Object.entries(spec)
+      : [[fromQuery && Array.isArray(spec) ? 'in' : 'eq', spec]];
+
+    if (operations.length === 0) {
+      throw httpError(400, `El filtro de '${key}' no tiene operadores.`);
+    }
+
+    operations.forEach(([operator, rawValue]) => {
+      if (!OPERATORS.includes(operator)) {
+        throw httpError(400, `Operador de filtro desconocido '${operator}' en '${key}'. Operadores válidos: ${OPERATORS.join(', ')}.`);
+      }
+
+      if (COMPARISONS[operator]) {
+        const value = convert(rawValue);
+        if (value === null && ['eq', 'ne'].includes(operator)) {
+          conditions.push(`${property} IS ${operator === 'eq' ? '' : 'NOT '}NULL`);
+        } else if (RANGE_COMPARISONS.includes(operator)) {
+          conditions.push(`${property} ${COMPARISONS[operator]} ${param(value, { temporal: true })}`);
+        } else {
+          const forms = equalityForms(value);
+          if (forms.length === 1) {
+            conditions.push(`${property} ${COMPARISONS[operator]} ${forms[0]}`);
+          } else {
+            conditions.push(`${operator === 'eq' ? '' : 'NOT '}${property} IN [${forms.join(', ')}]`);
+          }
+        }
+      } else if (TEXT_OPERATORS[operator]) {
+        // Búsqueda de texto sin distinguir mayúsculas; las propiedades que no son texto no coinciden
+        conditions.push(`(${property} IS :: STRING AND toLower(${property}) ${TEXT_OPERATORS[operator]} toLower(${param(String(rawValue ?? ''))}))`);
+      } else if (operator === 'between') {
+        const bounds = toList(rawValue).map(convert);
+        if (bounds.length !== 2) {
+          throw httpError(400, `El operador 'between' de '${key}' requiere exactamente dos valores.`);
+        }
+        conditions.push(`${property} >= ${param(bounds[0], { temporal: true })} AND ${property} <= ${param(bounds[1], { temporal: true })}`);
+      } else if (operator === 'in' || operator === 'nin') {
+        const values = toList(rawValue).map(convert);
+        const list = `[${values.flatMap(equalityForms).join(', ')}]`;
+        conditions.push(operator === 'in' ? `${property} IN ${list}` : `NOT ${property} IN ${list}`);
+      } else if (operator === 'exists') {
+        const exists = parseValue(typeof rawValue === 'string' ? rawValue : String(rawValue));
+        if (typeof exists !== 'boolean') {
+          throw httpError(400, `El operador 'exists' de '${key}' requiere true o false.`);
+        }
+        conditions.push(`${property} IS ${exists ? 'NOT ' : ''}NULL`);
+      }
+    });
+  });
+
+  return { conditions, params };
+}
+
+module.exports = {
+  OPERATORS,
+  sanitizeLabel,
+  isValidPropertyKey,
+  assertPropertyKeys,
+  propertyRef,
+  buildSet,
+  buildRemove,
+  parseValue,
+  buildFilter
+};
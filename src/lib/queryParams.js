@@ -0,0 +1,16 @@
+const httpError = require('./httpError');
+
+// Lee un entero de req.query dentro de [min, max]; devuelve `fallback` si no se indicó.
+// Lanza un error 400 con el nombre del parámetro si el valor no es válido.
+function parseInteger(value, name, min, max, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw httpError(400, `El parámetro '${name}' debe ser un entero entre ${min} y ${max}.`);
+  }
+  return number;
+}
+
+module.exports = {
+  parseInteger
+};
@@ -0,0 +1,343 @@
+const neo4j = require('neo4j-driver');
+const httpError = require('./httpError');
+const { notDeleted } = require('./softDelete');
+const { toPlain } = require('./values');
+const { parseInteger } = require('./queryParams');
+const { userExists } = require('./users');
+
+/**
+ * Recomendación de publicaciones para un usuario.
+ * Candidatas: publicaciones de las categorías de interés del usuario que todavía no vio
+ * (no las publicó, no reaccionó a ellas ni las comentó).
+ * Cada candidata recibe un puntaje entre 0 y 1 que suma cuatro componentes ponderados:
+ * - interests: fracción de las categorías de interés del usuario que comparte la publicación
+ * - recency: decaimiento exponencial por antigüedad de fecha_publicación (vale 0.5 a los halfLifeDays días)
+ * - impact: impacto relativo al mayor impacto entre las candidatas
+ * - engagement: comentarios + reacciones, relativo a la candidata con más interacciones
+ */
+
+const PUBLICATION_WEIGHTS = { interests: 0.4, recency: 0.2, impact: 0.25, engagement: 0.15 };
+
+// Peso de cada forma de interacción en el filtrado colaborativo: comentar pesa más que reaccionar
+const ENGAGEMENT_WEIGHTS = { COMENTA_EN: 2, REACCIONA_A: 1 };
+
+// Pesos por defecto de las señales de las sugerencias de colaboradores (se ajustan con el parámetro weights)
+const COLLABORATOR_WEIGHTS = { interests: 1, follows: 1.5, conferences: 2, engagement: 0.5 };
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const DEFAULT_HALF_LIFE_DAYS = 180;
+
+// Publicaciones candidatas (p) para el usuario u: de sus categorías de interés y que todavía no vio
+const CANDIDATES = `
+  MATCH (u)-[i:TIENE_INTERÉS_EN]->(c:Categoría)<-[rc:RELACIONADO_CON]-(p:Publicación)
+  WHERE ${notDeleted('i', 'c', 'rc', 'p')}
+    AND NOT EXISTS { (u)-[seen:PUBLICA|REACCIONA_A|COMENTA_EN]->(p) WHERE ${notDeleted('seen')} }
+`;
+
+// Lee limit y offset desde req.query
+function parseOffsetPaging(query) {
+  return {
+    limit: parseInteger(query.limit, 'limit', 1, MAX_LIMIT, DEFAULT_LIMIT),
+    offset: parseInteger(query.offset, 'offset', 0, Number.MAX_SAFE_INTEGER, 0)
+  };
+}
+
+// Lee halfLifeDays (días en que el componente de recencia cae a la mitad) desde req.query
+function parseHalfLife(query) {
+  return parseInteger(query.halfLifeDays, 'halfLifeDays', 1, 3650, DEFAULT_HALF_LIFE_DAYS);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Lee weights desde req.query con la forma señal:peso, ej. weights=interests:2,follows:0.5.
+ * Las señales no indicadas conservan el peso de `defaults`.
+ */
+function parseWeights(query, defaults) {
+  const weights = { ...defaults };
+  if (!query.weights) return weights;
+
+  String(query.weights).split(',').forEach(entry => {
+    const [name, value] = entry.split(':').map(part => part.trim());
+    const weight = Number(value);
+    if (!Object.prototype.hasOwnProperty.call(defaults, name) || !value || !Number.isFinite(weight) || weight < 0) {
+      throw httpError(400, `El parámetro 'weights' debe tener la forma señal:peso (peso >= 0), con señales: ${Object.keys(defaults).join(', ')}.`);
+    }
+    weights[name] = weight;
+  });
+  return weights;
+}
+
+/**
+ * Calcula una página de publicaciones recomendadas para `userId`, ordenadas por puntaje.
+ * Devuelve { recommendations, total } o null si el usuario no existe.
+ */
+async function recommendPublications(session, userId, { limit, offset, halfLifeDays }) {
+  if (!(await userExists(session, userId))) return null;
+
+  const result = await session.run(`
+    MATCH (u:Usuario {id: $userId})
+    WHERE ${notDeleted('u')}
+    WITH u, COUNT { (u)-[i:TIENE_INTERÉS_EN]->(c:Categoría) WHERE ${notDeleted('i', 'c')} } AS userInterests
+    ${CANDIDATES}
+    WITH userInterests, p, collect(DISTINCT c.nombre) AS shared
+    WITH userInterests, p, shared,
+         COUNT { (p)<-[cm:COMENTA_EN]-(author:Usuario) WHERE ${notDeleted('cm', 'author')} } AS comments,
+         COUNT { (p)<-[re:REACCIONA_A]-(reader:Usuario) WHERE ${notDeleted('re', 'reader')} } AS reactions,
+         CASE WHEN p.fecha_publicación IS NULL THEN null
+              ELSE duration.inDays(date(p.fecha_publicación), date()).days END AS age
+    WITH userInterests, collect({
+           p: p, shared: shared, comments: comments, reactions: reactions,
+           ageDays: CASE WHEN age < 0 THEN 0 ELSE age END
+         }) AS candidates
+    WITH userInterests, candidates,
+         reduce(top = 0.0, c IN candidates | CASE WHEN toFloat(coalesce(c.p.impacto, 0)) > top THEN toFloat(c.p.impacto) ELSE top END) AS maxImpact,
+         reduce(top = 0, c IN candidates | CASE WHEN c.comments + c.reactions > top THEN c.comments + c.reactions ELSE top END) AS maxEngagement
+    UNWIND candidates AS c
+    WITH c, size(candidates) AS total,
+         toFloat(size(c.shared)) / userInterests AS interests,
+         CASE WHEN c.ageDays IS NULL THEN 0.0 ELSE exp(-log(2) * c.ageDays / $halfLifeDays) END AS recency,
+         CASE WHEN maxImpact > 0 THEN toFloat(coalesce(c.p.impacto, 0)) / maxImpact ELSE 0.0 END AS impact,
+         CASE WHEN maxEngagement > 0 THEN toFloat(c.comments + c.reactions) / maxEngagement ELSE 0.0 END AS engagement
+    WITH c, total, {
+           interests: $weights.interests * interests,
+           recency: $weights.recency * recency,
+           impact: $weights.impact * impact,
+           engagement: $weights.engagement * engagement
+         } AS breakdown
+    WITH c, total, breakdown,
+         breakdown.interests + breakdown.recency + breakdown.impact + breakdown.engagement AS score
+    RETURN c.p AS p, c.shared AS shared, c.comments AS comments, c.reactions AS reactions, c.ageDays AS ageDays,
+           total, breakdown, score
+    ORDER BY score DESC, p.id ASC
+    SKIP $offset
+    LIMIT $limit
+  `, {
+    userId,
+    weights: PUBLICATION_WEIGHTS,
+    halfLifeDays,
+    offset: neo4j.int(offset),
+    limit: neo4j.int(limit)
+  });
+
+  const recommendations = result.records.map(record => {
+    const breakdown = record.get('breakdown');
+    return {
+      publication: toPlain(record.get('p').properties),
+      score: round(record.get('score')),
+      breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, value]) => [key, round(value)])),
+      signals: toPlain({
+        sharedCategories: record.get('shared'),
+        ageDays: record.get('ageDays'),
+        comments: record.get('comments'),
+        reactions: record.get('reactions')
+      })
+    };
+  });
+
+  // Con un offset fuera de rango no vuelven filas; el total se cuenta aparte para informarlo igual
+  const total = result.records.length > 0
+    ? result.records[0].get('total').toNumber()
+    : await countCandidates(session, userId);
+
+  return { recommendations, total };
+}
+
+async function countCandidates(session, userId) {
+  const result = await session.run(`
+    MATCH (u:Usuario {id: $userId})
+    ${CANDIDATES}
+    RETURN count(DISTINCT p) AS total
+  `, { userId });
+  return result.records[0].get('total').toNumber();
+}
+
+/**
+ * Filtrado colaborativo: "quienes interactuaron con lo mismo que tú también interactuaron con...".
+ * - El peso de un usuario sobre una publicación es la suma de ENGAGEMENT_WEIGHTS de las formas en que
+ *   interactuó con ella (comentar y reaccionar a la misma publicación suma ambos pesos).
+ * - La similitud con otro usuario (par) suma, sobre las publicaciones que ambos interactuaron,
+ *   el producto de los pesos de cada uno.
+ * - Cada publicación candidata suma similitud × peso del par sobre los pares que interactuaron con ella;
+ *   el puntaje se normaliza respecto de la mejor candidata.
+ * Se excluyen las publicaciones del usuario y aquellas con las que ya interactuó.
+ * Devuelve { history, recommendations, total } (history es la cantidad de interacciones del usuario),
+ * o null si el usuario no existe.
+ */
+async function recommendCollaborative(session, userId, { limit, offset }) {
+  const historyResult = await session.run(`
+    MATCH (u:Usuario {id: $userId})
+    WHERE ${notDeleted('u')}
+    RETURN COUNT { (u)-[e:REACCIONA_A|COMENTA_EN]->(p:Publicación) WHERE ${notDeleted('e', 'p')} } AS history
+  `, { userId });
+  if (historyResult.records.length === 0) return null;
+
+  const history = historyResult.records[0].get('history').toNumber();
+  if (history === 0) return { history, recommendations: [], total: 0 };
+
+  const result = await session.run(`
+    MATCH (u:Usuario {id: $userId})-[e1:REACCIONA_A|COMENTA_EN]->(p:Publicación)
+    WHERE ${notDeleted('u', 'e1', 'p')}
+    WITH u, p, reduce(w = 0, t IN collect(DISTINCT type(e1)) | w + $weights[t]) AS ownWeight
+    MATCH (p)<-[e2:REACCIONA_A|COMENTA_EN]-(peer:Usuario)
+    WHERE peer <> u AND ${notDeleted('e2', 'peer')}
+    WITH u, p, ownWeight, peer, reduce(w = 0, t IN collect(DISTINCT type(e2)) | w + $weights[t]) AS peerWeight
+    WITH u, peer, sum(ownWeight * peerWeight) AS similarity
+    MATCH (peer)-[e3:REACCIONA_A|COMENTA_EN]->(q:Publicación)
+    WHERE ${notDeleted('e3', 'q')}
+      AND NOT EXISTS { (u)-[seen:PUBLICA|REACCIONA_A|COMENTA_EN]->(q) WHERE ${notDeleted('seen')} }
+    WITH q, peer, similarity, collect(DISTINCT type(e3)) AS types
+    WITH q,
+         sum(similarity * reduce(w = 0, t IN types | w + $weights[t])) AS raw,
+         count(peer) AS peers,
+         sum(CASE WHEN 'COMENTA_EN' IN types THEN 1 ELSE 0 END) AS commentedBy,
+         sum(CASE WHEN 'REACCIONA_A' IN types THEN 1 ELSE 0 END) AS reactedBy
+    ORDER BY raw DESC, q.id ASC
+    WITH collect({p: q, raw: raw, peers: peers, commentedBy: commentedBy, reactedBy: reactedBy}) AS ranked
+    RETURN size(ranked) AS total, ranked[0].raw AS best, ranked[$offset..$offset + $limit] AS page
+  `, { userId, weights: ENGAGEMENT_WEIGHTS, offset: neo4j.int(offset), limit: neo4j.int(limit) });
+
+  const record = result.records[0];
+  const total = record ? record.get('total').toNumber() : 0;
+  const best = record ? toPlain(record.get('best')) : null;
+
+  const recommendations = total === 0 ? [] : record.get('page').map(entry => ({
+    publication: toPlain(entry.p.properties),
+    score: round(toPlain(entry.raw) / best),
+    signals: toPlain({
+      peers: entry.peers,
+      commentedBy: entry.commentedBy,
+      reactedBy: entry.reactedBy,
+      rawScore: entry.raw
+    })
+  }));
+
+  return { history, recommendations, total };
+}
+
+// Texto legible con las señales de una sugerencia, ej. "3 intereses en común, seguido por 2 personas que sigues"
+function explainCollaborator({ interests, follows, conferences, engagement }) {
+  const plural = (count, singular, pluralForm) => `${count} ${count === 1 ? singular : pluralForm}`;
+  const parts = [];
+  if (interests > 0) parts.push(plural(interests, 'interés en común', 'intereses en común'));
+  if (follows > 0) parts.push(`seguido por ${plural(follows, 'persona que sigues', 'personas que sigues')}`);
+  if (conferences > 0) parts.push(plural(conferences, 'conferencia en común', 'conferencias en común'));
+  if (engagement > 0) {
+    parts.push(`${plural(engagement, 'publicación', 'publicaciones')} en las que ambos comentaron o reaccionaron`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Sugerencias de colaboradores para un usuario, con cuatro señales por candidato:
+ * - interests: categorías de interés en común
+ * - follows: usuarios que el usuario sigue y que siguen al candidato (caminos SIGUE_A de 2 saltos)
+ * - conferences: conferencias donde ambos presentaron publicaciones (PUBLICA -> PRESENTADA_EN)
+ * - engagement: publicaciones que ambos comentaron o a las que ambos reaccionaron
+ * El puntaje es la suma de cada señal por su peso. Se excluyen los usuarios que ya sigue y sus coautores.
+ * Devuelve { suggestions, total } o null si el usuario no existe.
+ */
+async function suggestCollaborators(session, userId, { limit, offset, weights }) {
+  if (!(await userExists(session, userId))) return null;
+
+  const result = await session.run(`
+    MATCH (u:Usuario {id: $userId})
+    WHERE ${notDeleted('u')}
+    CALL {
+      WITH u
+      MATCH (u)-[i1:TIENE_INTERÉS_EN]->(c:Categoría)<-[i2:TIENE_INTERÉS_EN]-(v:Usuario)
+      WHERE ${notDeleted('i1', 'c', 'i2')}
+      RETURN v
+      UNION
+      WITH u
+      MATCH (u)-[s1:SIGUE_A]->(x:Usuario)-[s2:SIGUE_A]->(v:Usuario)
+      WHERE ${notDeleted('s1', 'x', 's2')}
+      RETURN v
+      UNION
+      WITH u
+      MATCH (u)-[a1:PUBLICA]->(p1:Publicación)-[e1:PRESENTADA_EN]->(conf:Conferencia)
+            <-[e2:PRESENTADA_EN]-(p2:Publicación)<-[a2:PUBLICA]-(v:Usuario)
+      WHERE ${notDeleted('a1', 'p1', 'e1', 'conf', 'e2', 'p2', 'a2')}
+      RETURN v
+      UNION
+      WITH u
+      MATCH (u)-[e1:REACCIONA_A|COMENTA_EN]->(p:Publicación)<-[e2:REACCIONA_A|COMENTA_EN]-(v:Usuario)
+      WHERE ${notDeleted('e1', 'p', 'e2')}
+      RETURN v
+    }
+    WITH u, v
+    WHERE v <> u AND ${notDeleted('v')}
+      AND NOT EXISTS { (u)-[s:SIGUE_A]->(v) WHERE ${notDeleted('s')} }
+      AND NOT EXISTS {
+        MATCH (u)-[a1:PUBLICA]->(p:Publicación)<-[a2:PUBLICA]-(v)
+        WHERE ${notDeleted('a1', 'p', 'a2')}
+      }
+    CALL {
+      WITH u, v
+      OPTIONAL MATCH (u)-[i1:TIENE_INTERÉS_EN]->(c:Categoría)<-[i2:TIENE_INTERÉS_EN]-(v)
+      WHERE ${notDeleted('i1', 'c', 'i2')}
+      RETURN count(DISTINCT c) AS interests, collect(DISTINCT c.nombre) AS sharedInterests
+    }
+    CALL {
+      WITH u, v
+      OPTIONAL MATCH (u)-[s1:SIGUE_A]->(x:Usuario)-[s2:SIGUE_A]->(v)
+      WHERE ${notDeleted('s1', 'x', 's2')}
+      RETURN count(DISTINCT x) AS follows, collect(DISTINCT x.nombre)[..3] AS followedBy
+    }
+    CALL {
+      WITH u, v
+      OPTIONAL MATCH (u)-[a1:PUBLICA]->(p1:Publicación)-[e1:PRESENTADA_EN]->(conf:Conferencia)
+                     <-[e2:PRESENTADA_EN]-(p2:Publicación)<-[a2:PUBLICA]-(v)
+      WHERE ${notDeleted('a1', 'p1', 'e1', 'conf', 'e2', 'p2', 'a2')}
+      RETURN count(DISTINCT conf) AS conferences, collect(DISTINCT conf.nombre) AS sharedConferences
+    }
+    CALL {
+      WITH u, v
+      OPTIONAL MATCH (u)-[e1:REACCIONA_A|COMENTA_EN]->(p:Publicación)<-[e2:REACCIONA_A|COMENTA_EN]-(v)
+      WHERE ${notDeleted('e1', 'p', 'e2')}
+      RETURN count(DISTINCT p) AS engagement
+    }
+    WITH v, interests, sharedInterests, follows, followedBy, conferences, sharedConferences, engagement,
+         $weights.interests * interests + $weights.follows * follows
+         + $weights.conferences * conferences + $weights.engagement * engagement AS score
+    WHERE score > 0
+    WITH *
+    ORDER BY score DESC, v.id ASC
+    WITH collect({
+           user: v {.id, .nombre, .universidad, .especialidad},
+           score: score,
+           signals: {interests: interests, follows: follows, conferences: conferences, engagement: engagement},
+           details: {sharedInterests: sharedInterests, followedBy: followedBy, sharedConferences: sharedConferences}
+         }) AS ranked
+    RETURN size(ranked) AS total, ranked[$offset..$offset + $limit] AS page
+  `, { userId, weights, offset: neo4j.int(offset), limit: neo4j.int(limit) });
+
+  const record = result.records[0];
+  const suggestions = record.get('page').map(entry => {
+    const signals = toPlain(entry.signals);
+    return {
+      user: toPlain(entry.user),
+      score: round(entry.score),
+      explanation: explainCollaborator(signals),
+      signals,
+      details: toPlain(entry.details)
+    };
+  });
+
+  return { suggestions, total: record.get('total').toNumber() };
+}
+
+module.exports = {
+  PUBLICATION_WEIGHTS,
+  ENGAGEMENT_WEIGHTS,
+  COLLABORATOR_WEIGHTS,
+  parseOffsetPaging,
+  parseHalfLife,
+  parseWeights,
+  recommendPublications,
+  recommendCollaborative,
+  suggestCollaborators
+};
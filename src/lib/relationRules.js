@@ -0,0 +1,177 @@
+const httpError = require('./httpError');
+const { checkProperties } = require('./schemas');
+const { notDeleted } = require('./softDelete');
+const { toPlain } = require('./values');
+
+/**
+ * Reglas por tipo de relación.
+ * - from / to: labels permitidos en el nodo de inicio y en el de fin
+ * - properties: propiedades obligatorias y opcionales, con el mismo formato que los esquemas de nodos
+ * - cardinality: maxFrom (relaciones de este tipo por nodo de inicio), maxTo (por nodo de fin)
+ *   y unique (a lo sumo una entre el mismo par de nodos)
+ * Los tipos sin reglas se rechazan con 422. Para aceptarlos entre cualquier par de labels
+ * (por ejemplo, mientras se migran datos con tipos antiguos) se define ALLOW_UNLISTED_RELATION_TYPES=true.
+ */
+const ALLOW_UNLISTED_RELATION_TYPES = String(process.env.ALLOW_UNLISTED_RELATION_TYPES).toLowerCase() === 'true';
+
+const RELATION_RULES = {
+  PUBLICA: {
+    from: ['Usuario'],
+    to: ['Publicación'],
+    properties: {
+      fecha: { type: 'date' }
+    },
+    cardinality: { unique: true }
+  },
+  SIGUE_A: {
+    from: ['Usuario'],
+    to: ['Usuario'],
+    properties: {
+      fecha: { type: 'date' }
+    },
+    cardinality: { unique: true }
+  },
+  REACCIONA_A: {
+    from: ['Usuario'],
+    to: ['Publicación'],
+    properties: {
+      tipo: { type: 'string', required: true },
+      fecha: { type: 'date' }
+    },
+    cardinality: { unique: true }
+  },
+  COMENTA_EN: {
+    from: ['Usuario'],
+    to: ['Publicación'],
+    properties: {
+      contenido: { type: 'string', required: true },
+      fecha: { type: 'date' }
+    }
+  },
+  TIENE_INTERÉS_EN: {
+    from: ['Usuario'],
+    to: ['Categoría'],
+    properties: {
+      nivel: { type: 'integer', min: 1, max: 5 }
+    },
+    cardinality: { unique: true }
+  },
+  RELACIONADO_CON: {
+    from: ['Publicación'],
+    to: ['Categoría'],
+    cardinality: { unique: true }
+  },
+  PRESENTADA_EN: {
+    from: ['Publicación'],
+    to: ['Conferencia'],
+    properties: {
+      fecha: { type: 'date' }
+    },
+    cardinality: { maxFrom: 1 }
+  }
+};
+
+function describe(labels) {
+  return labels.join(' o ');
+}
+
+/**
+ * Valida los labels de los extremos y las propiedades de una relación contra las reglas de su tipo.
+ * - partial: solo se validan las propiedades presentes (PATCH)
+ * - fromLabels / toLabels: se omiten en las actualizaciones, donde los extremos no cambian
+ * Lanza 422 con los motivos, también si el tipo no tiene reglas. Devuelve las propiedades ya convertidas a tipos Neo4j.
+ */
+function validateRelation(type, { fromLabels, toLabels, properties }, { partial = false } = {}) {
+  const rule = RELATION_RULES[type];
+  if (!rule) {
+    if (ALLOW_UNLISTED_RELATION_TYPES) return { ...properties };
+    throw httpError(422, `El tipo de relación ${type} no tiene reglas definidas.`, [
+      { rule: 'type', message: `los tipos permitidos son: ${Object.keys(RELATION_RULES).join(', ')}` }
+    ]);
+  }
+
+  const errors = [];
+  if (fromLabels && rule.from && !fromLabels.some(label => rule.from.includes(label))) {
+    errors.push({ rule: 'from', message: `${type} debe salir de un nodo ${describe(rule.from)}, no de ${describe(fromLabels)}` });
+  }
+  if (toLabels && rule.to && !toLabels.some(label => rule.to.includes(label))) {
+    errors.push({ rule: 'to', message: `${type} debe llegar a un nodo ${describe(rule.to)}, no a ${describe(toLabels)}` });
+  }
+
+  const checked = checkProperties(rule.properties || {}, properties, { partial });
+  errors.push(...checked.errors);
+
+  if (errors.length > 0) {
+    throw httpError(422, `La relación no cumple las reglas de ${type}.`, errors);
+  }
+  return checked.properties;
+}
+
+/**
+ * Verifica que las propiedades a eliminar no sean obligatorias en las reglas del tipo.
+ */
+function validateRelationRemoval(type, keys) {
+  const rule = RELATION_RULES[type];
+  const properties = (rule && rule.properties) || {};
+
+  const errors = keys
+    .filter(key => properties[key] && properties[key].required)
+    .map(field => ({ field, message: 'es obligatorio y no se puede eliminar' }));
+  if (errors.length > 0) {
+    throw httpError(422, "No se pueden eliminar propiedades obligatorias.", errors);
+  }
+}
+
+/**
+ * Verifica la cardinalidad antes de crear una relación `type` entre los nodos con elementId `from` y `to`.
+ * Toma el bloqueo de escritura de ambos nodos para que dos creaciones simultáneas no superen el máximo.
+ * Debe ejecutarse dentro de la misma transacción que crea la relación.
+ */
+async function checkCardinality(tx, type, { from, to }) {
+  const rule = RELATION_RULES[type];
+  if (!rule || !rule.cardinality) return;
+  const { maxFrom, maxTo, unique } = rule.cardinality;
+
+  const result = await tx.run(`
+    MATCH (a) WHERE elementId(a) = $from
+    MATCH (b) WHERE elementId(b) = $to
+    SET a._LOCK_ = true, b._LOCK_ = true
+    REMOVE a._LOCK_, b._LOCK_
+    RETURN a.id AS fromId, b.id AS toId,
+           COUNT { (a)-[r:\`${type}\`]->() WHERE ${notDeleted('r')} } AS fromCount,
+           COUNT { ()-[r:\`${type}\`]->(b) WHERE ${notDeleted('r')} } AS toCount,
+           COUNT { (a)-[r:\`${type}\`]->(b) WHERE ${notDeleted('r')} } AS pairCount
+  `, { from, to });
+  if (result.records.length === 0) return;
+
+  const record = result.records[0];
+  const count = key => record.get(key).toNumber();
+  const errors = [];
+
+  if (unique && count('pairCount') > 0) {
+    errors.push({ rule: 'unique', message: `ya existe una relación ${type} entre estos nodos` });
+  }
+  if (maxFrom !== undefined && count('fromCount') >= maxFrom) {
+    errors.push({
+      rule: 'maxFrom',
+      message: `el nodo de inicio (id ${toPlain(record.get('fromId'))}) ya tiene ${count('fromCount')} relación(es) ${type} y el máximo es ${maxFrom}`
+    });
+  }
+  if (maxTo !== undefined && count('toCount') >= maxTo) {
+    errors.push({
+      rule: 'maxTo',
+      message: `el nodo de fin (id ${toPlain(record.get('toId'))}) ya tiene ${count('toCount')} relación(es) ${type} y el máximo es ${maxTo}`
+    });
+  }
+
+  if (errors.length > 0) {
+    throw httpError(422, `La relación no cumple la cardinalidad de ${type}.`, errors);
+  }
+}
+
+module.exports = {
+  RELATION_RULES,
+  validateRelation,
+  validateRelationRemoval,
+  checkCardinality
+};
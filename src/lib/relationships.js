@@ -0,0 +1,144 @@
+const neo4j = require('neo4j-driver');
+const httpError = require('./httpError');
+const { sanitizeLabel, assertPropertyKeys, propertyRef, buildSet, parseValue } = require('./queryBuilder');
+const { validateNode } = require('./schemas');
+const { notDeleted } = require('./softDelete');
+const { validateRelation, checkCardinality } = require('./relationRules');
+const { bumpVersion } = require('./versioning');
+const { stampCreated } = require('./timestamps');
+const { toPlain } = require('./values');
+
+/**
+ * Escritura de relaciones entre nodos ya encontrados, con las reglas de su tipo.
+ * En modo upsert se busca primero una relación activa del mismo tipo entre el mismo par de nodos
+ * (y con el mismo valor en la propiedad `key`, si se indica): si existe se actualiza en lugar de
+ * crear otra, así un reintento o un doble clic no duplican aristas.
+ */
+
+const WRITE_MODES = ['create', 'upsert'];
+
+// Lee mode (create | upsert) y key desde req.query
+function parseWriteMode(query) {
+  const mode = String(query.mode || 'create').toLowerCase();
+  if (!WRITE_MODES.includes(mode)) {
+    throw httpError(400, "El parámetro 'mode' debe ser create o upsert.");
+  }
+  const key = query.key ? String(query.key) : null;
+  if (key) {
+    if (mode !== 'upsert') throw httpError(400, "El parámetro 'key' solo se usa con mode=upsert.");
+    assertPropertyKeys([key]);
+  }
+  return { upsert: mode === 'upsert', key };
+}
+
+/**
+ * Crea o actualiza la relación `type` entre los extremos indicados, dentro de la transacción `tx`.
+ * - endpoints: { from, to, fromLabels, toLabels } con el elementId y los labels de cada nodo
+ * - properties: propiedades enviadas por el cliente (ya sin campos de sistema)
+ * - defaults: propiedades que solo se asignan si la relación se crea (ej. la fecha de un follow)
+ * - createdBy: quien hace la solicitud, se guarda si la relación se crea
+ * Devuelve { created, properties, duplicates }, donde duplicates cuenta las otras relaciones
+ * equivalentes que ya existían (las colapsa POST /admin/relations/deduplicate).
+ */
+async function writeRelation(tx, type, endpoints, properties, { upsert = false, key = null, defaults = {}, createdBy = null } = {}) {
+  const { from, to, fromLabels, toLabels } = endpoints;
+
+  if (upsert) {
+    if (key && (properties[key] === undefined || properties[key] === null)) {
+      throw httpError(400, `La propiedad clave '${key}' debe venir en las propiedades de la relación.`);
+    }
+    const values = validateRelation(type, { fromLabels, toLabels, properties }, { partial: true });
+
+    // Bloquear ambos nodos para que dos upserts simultáneos no creen la misma relación
+    const existing = await tx.run(`
+      MATCH (a) WHERE elementId(a) = $from
+      MATCH (b) WHERE elementId(b) = $to
+      SET a._LOCK_ = true, b._LOCK_ = true
+      REMOVE a._LOCK_, b._LOCK_
+      WITH a, b
+      MATCH (a)-[r:\`${type}\`]->(b)
+      WHERE ${notDeleted('r')}${key ? ` AND ${propertyRef('r', key)} = $upsert_key` : ''}
+      RETURN elementId(r) AS elementId
+      ORDER BY elementId(r)
+    `, { from, to, upsert_key: key ? values[key] : null });
+
+    if (existing.records.length > 0) {
+      const set = buildSet('r', values);
+      const result = await tx.run(`
+        MATCH ()-[r]->() WHERE elementId(r) = $elementId
+        SET ${set.clause ? `${set.clause}, ` : ''}${bumpVersion('r')}
+        RETURN r
+      `, { elementId: existing.records[0].get('elementId'), ...set.params });
+      return {
+        created: false,
+        properties: result.records[0].get('r').properties,
+        duplicates: existing.records.length - 1
+      };
+    }
+  }
+
+  const values = validateRelation(type, { fromLabels, toLabels, properties: { ...defaults, ...properties } });
+  await checkCardinality(tx, type, { from, to });
+
+  const result = await tx.run(`
+    MATCH (a) WHERE elementId(a) = $from
+    MATCH (b) WHERE elementId(b) = $to
+    CREATE (a)-[r:\`${type}\`]->(b)
+    SET r = $properties
+    SET ${stampCreated('r')}
+    RETURN r
+  `, { from, to, properties: { ...values, version: neo4j.int(1) }, createdBy });
+  return { created: true, properties: result.records[0].get('r').properties, duplicates: 0 };
+}
+
+/**
+ * Lee la referencia a los nodos de un extremo, con la forma Label.propiedad (ej. Usuario.email).
+ * Sin propiedad se usa el id (ej. Usuario equivale a Usuario.id).
+ */
+function parseEndpointSpec(name, value) {
+  if (!value) {
+    throw httpError(400, `Se requiere el parámetro '${name}' con la forma Label o Label.propiedad, ej. Usuario.email.`);
+  }
+  const [rawLabel, ...rest] = String(value).split('.');
+  const label = sanitizeLabel(rawLabel.trim());
+  const key = rest.length > 0 ? rest.join('.').trim() : 'id';
+  if (!label || !key) {
+    throw httpError(400, `El parámetro '${name}' debe tener la forma Label o Label.propiedad, ej. Usuario.email.`);
+  }
+  assertPropertyKeys([key]);
+  return { label, key };
+}
+
+// Convierte el valor de referencia al tipo con que se guarda la propiedad (id entero, o según el esquema del label)
+function endpointValue(spec, value, fromText) {
+  if (value === undefined || value === null || value === '') return null;
+  if (spec.key === 'id') {
+    const number = Number(value);
+    return Number.isInteger(number) ? neo4j.int(number) : null;
+  }
+  const raw = fromText ? parseValue(value) : value;
+  return validateNode(spec.label, { [spec.key]: raw }, { partial: true })[spec.key];
+}
+
+/**
+ * Busca los nodos activos de `spec` cuyo valor de la propiedad clave está en `values`.
+ * Devuelve un Map de valor (como texto) a la lista de nodos encontrados ({ elementId, labels }),
+ * para distinguir valores sin nodo de valores ambiguos (más de un nodo con la misma clave).
+ */
+async function resolveEndpoints(tx, spec, values) {
+  const result = await tx.run(`
+    UNWIND $values AS value
+    MATCH (n:\`${spec.label}\`)
+    WHERE ${propertyRef('n', spec.key)} = value AND ${notDeleted('n')}
+    RETURN value, collect({elementId: elementId(n), labels: labels(n)}) AS nodes
+  `, { values });
+  return new Map(result.records.map(record => [String(toPlain(record.get('value'))), record.get('nodes')]));
+}
+
+module.exports = {
+  parseWriteMode,
+  writeRelation,
+  parseEndpointSpec,
+  endpointValue,
+  resolveEndpoints
+};
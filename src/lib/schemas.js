@@ -0,0 +1,194 @@
+const neo4j = require('neo4j-driver');
+const httpError = require('./httpError');
+
+/**
+ * Registro de esquemas por label.
+ * Cada propiedad declara su tipo y, opcionalmente, required, enum, default, min y max.
+ * Tipos: string, integer, float, boolean, date, datetime y list (con `items` para el tipo de cada elemento).
+ * Las propiedades no declaradas se aceptan tal cual.
+ */
+const SCHEMAS = {
+  Usuario: {
+    nombre: { type: 'string', required: true },
+    email: { type: 'string' },
+    rol: { type: 'string', enum: ['estudiante', 'investigador', 'profesor'], default: 'estudiante' },
+    universidad: { type: 'string' },
+    especialidad: { type: 'string' },
+    reputación: { type: 'integer', min: 0, default: 0 },
+    activo: { type: 'boolean', default: true }
+  },
+  Publicación: {
+    título: { type: 'string', required: true },
+    resumen: { type: 'string' },
+    fecha_publicación: { type: 'date', required: true },
+    impacto: { type: 'float', min: 0, default: 0 },
+    citas: { type: 'integer', min: 0, default: 0 },
+    palabras_clave: { type: 'list', items: 'string' }
+  },
+  Categoría: {
+    nombre: { type: 'string', required: true },
+    descripción: { type: 'string' }
+  },
+  Conferencia: {
+    nombre: { type: 'string', required: true },
+    ubicación: { type: 'string' },
+    fecha: { type: 'date' }
+  }
+};
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Convierte un valor al tipo declarado. Devuelve { value } o { error } con el motivo.
+function coerce(value, type, items) {
+  // Los enteros leídos de la base llegan como neo4j.Integer; los textos numéricos vienen de query strings o CSV
+  const toNumber = val => {
+    if (neo4j.isInt(val)) return val.toNumber();
+    return typeof val === 'string' && val.trim() !== '' ? Number(val) : val;
+  };
+
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? { value } : { error: 'debe ser un texto' };
+    case 'integer': {
+      if (neo4j.isInt(value)) return { value };
+      const number = toNumber(value);
+      return typeof number === 'number' && Number.isInteger(number)
+        ? { value: neo4j.int(number) }
+        : { error: 'debe ser un número entero' };
+    }
+    case 'float': {
+      const number = toNumber(value);
+      return typeof number === 'number' && Number.isFinite(number)
+        ? { value: number }
+        : { error: 'debe ser un número' };
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === 'false') return { value: value === 'true' };
+      return { error: 'debe ser true o false' };
+    case 'date': {
+      if (neo4j.isDate(value)) return { value };
+      const match = typeof value === 'string' && ISO_DATE.exec(value);
+      if (!match) return { error: 'debe ser una fecha con formato YYYY-MM-DD' };
+      const [year, month, day] = match.slice(1).map(Number);
+      const check = new Date(Date.UTC(year, month - 1, day));
+      if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return { error: 'no es una fecha válida' };
+      return { value: new neo4j.types.Date(year, month, day) };
+    }
+    case 'datetime': {
+      if (neo4j.isDateTime(value)) return { value };
+      const date = typeof value === 'string' ? new Date(value) : null;
+      return date && !Number.isNaN(date.getTime())
+        ? { value: neo4j.types.DateTime.fromStandardDate(date) }
+        : { error: 'debe ser una fecha y hora ISO 8601' };
+    }
+    case 'list': {
+      if (!Array.isArray(value)) return { error: 'debe ser una lista' };
+      if (!items) return { value };
+      const converted = value.map(item => coerce(item, items));
+      const failed = converted.find(item => item.error);
+      return failed ? { error: `contiene un elemento que ${failed.error}` } : { value: converted.map(item => item.value) };
+    }
+    default:
+      return { value };
+  }
+}
+
+function compare(value, limit) {
+  const number = neo4j.isInt(value) ? value.toNumber() : value;
+  return number - limit;
+}
+
+// Devuelve el esquema combinado de uno o varios labels (null si ninguno está registrado)
+function getSchema(labels) {
+  const list = Array.isArray(labels) ? labels : [labels];
+  const registered = list.filter(label => SCHEMAS[label]);
+  if (registered.length === 0) return null;
+  return Object.assign({}, ...registered.map(label => SCHEMAS[label]));
+}
+
+/**
+ * Valida y convierte las propiedades contra un esquema de propiedades.
+ * - partial: solo se validan las propiedades presentes (PATCH); no aplica required ni default.
+ * Devuelve { properties, errors } con las propiedades ya convertidas a tipos Neo4j.
+ */
+function checkProperties(schema, properties, { partial = false } = {}) {
+  const errors = [];
+  const result = { ...properties };
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const present = Object.prototype.hasOwnProperty.call(properties, field) && properties[field] !== undefined;
+
+    if (!present) {
+      if (partial) return;
+      if (spec.default !== undefined) {
+        result[field] = coerce(spec.default, spec.type, spec.items).value;
+      } else if (spec.required) {
+        errors.push({ field, message: 'es obligatorio' });
+      }
+      return;
+    }
+
+    const value = properties[field];
+    if (value === null) {
+      if (spec.required) errors.push({ field, message: 'es obligatorio y no puede ser null' });
+      return;
+    }
+
+    const { value: converted, error } = coerce(value, spec.type, spec.items);
+    let message = error;
+    if (!message && spec.enum && !spec.enum.includes(converted)) {
+      message = `debe ser uno de: ${spec.enum.join(', ')}`;
+    } else if (!message && spec.min !== undefined && compare(converted, spec.min) < 0) {
+      message = `debe ser mayor o igual a ${spec.min}`;
+    } else if (!message && spec.max !== undefined && compare(converted, spec.max) > 0) {
+      message = `debe ser menor o igual a ${spec.max}`;
+    }
+
+    if (message) {
+      errors.push({ field, message, value });
+    } else {
+      result[field] = converted;
+    }
+  });
+
+  return { properties: result, errors };
+}
+
+/**
+ * Valida las propiedades de un nodo contra el esquema de sus labels.
+ * Lanza un error 422 con la lista de errores por campo si algo no es válido.
+ */
+function validateNode(labels, properties, options = {}) {
+  const schema = getSchema(labels);
+  if (!schema) return { ...properties };
+
+  const { properties: result, errors } = checkProperties(schema, properties, options);
+  if (errors.length > 0) {
+    throw httpError(422, "Las propiedades del nodo no son válidas.", errors);
+  }
+  return result;
+}
+
+/**
+ * Verifica que las propiedades a eliminar no sean obligatorias en el esquema de los labels.
+ */
+function validateRemoval(labels, keys) {
+  const schema = getSchema(labels);
+  if (!schema) return;
+
+  const errors = keys
+    .filter(key => schema[key] && schema[key].required)
+    .map(field => ({ field, message: 'es obligatorio y no se puede eliminar' }));
+  if (errors.length > 0) {
+    throw httpError(422, "No se pueden eliminar propiedades obligatorias.", errors);
+  }
+}
+
+module.exports = {
+  SCHEMAS,
+  getSchema,
+  checkProperties,
+  validateNode,
+  validateRemoval
+};
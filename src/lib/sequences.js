@@ -0,0 +1,211 @@
+const neo4j = require('neo4j-driver');
+const { driver } = require('../db');
+const httpError = require('./httpError');
+const { bumpVersion } = require('./versioning');
+
+/**
+ * Secuencias de IDs por label.
+ * Cada label tiene un nodo (:Secuencia {label, valor}) con el último id asignado.
+ * El contador se incrementa dentro de la misma transacción que crea el nodo, así que
+ * dos creaciones simultáneas nunca obtienen el mismo id.
+ */
+
+// Labels cuyas restricciones de unicidad ya se verificaron en este proceso
+const ensuredLabels = new Set();
+let sequenceConstraint = null;
+
+function constraintName(label) {
+  return `${label}_id_unico`;
+}
+
+async function runSchema(query) {
+  const session = driver.session();
+  try {
+    await session.run(query);
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Garantiza la restricción de unicidad (label, id) y la de los nodos Secuencia.
+ * Las restricciones de esquema no pueden crearse dentro de una transacción de escritura,
+ * por eso se ejecutan antes, una sola vez por label.
+ * Si la restricción no puede crearse (por ejemplo, porque ya hay ids duplicados) se lanza un 409
+ * y el label se vuelve a intentar en la próxima escritura.
+ */
+async function ensureIdConstraint(label) {
+  if (!sequenceConstraint) {
+    sequenceConstraint = runSchema(
+      'CREATE CONSTRAINT secuencia_label_unico IF NOT EXISTS FOR (s:Secuencia) REQUIRE s.label IS UNIQUE'
+    ).catch(error => {
+      sequenceConstraint = null;
+      throw error;
+    });
+  }
+  await sequenceConstraint;
+
+  if (ensuredLabels.has(label)) return;
+  try {
+    await runSchema(
+      `CREATE CONSTRAINT \`${constraintName(label)}\` IF NOT EXISTS FOR (n:\`${label}\`) REQUIRE n.id IS UNIQUE`
+    );
+  } catch (error) {
+    if (!String(error.code).endsWith('ConstraintCreationFailed')) throw error;
+    throw httpError(
+      409,
+      `No se pudo crear la restricción de unicidad de id para ${label}: hay nodos con ids repetidos. Se listan con POST /admin/sequences/${label}/resync y se corrigen con POST /admin/sequences/${label}/renumber.`,
+      error.message
+    );
+  }
+  ensuredLabels.add(label);
+}
+
+/**
+ * Reserva `count` ids consecutivos para el label dentro de la transacción `tx`.
+ * Devuelve el primer id reservado (número).
+ * Si la secuencia no existe se inicializa con el MAX(id) actual del label.
+ */
+async function nextId(tx, label, count = 1) {
+  const params = { label, count: neo4j.int(count) };
+
+  // SET sobre la misma propiedad toma un bloqueo de escritura sobre la secuencia
+  let result = await tx.run(`
+    MATCH (s:Secuencia {label: $label})
+    SET s.valor = s.valor + $count
+    RETURN s.valor AS valor
+  `, params);
+
+  if (result.records.length === 0) {
+    result = await tx.run(`
+      OPTIONAL MATCH (n:\`${label}\`)
+      WITH toInteger(COALESCE(MAX(n.id), 0)) AS maxId
+      MERGE (s:Secuencia {label: $label})
+      ON CREATE SET s.valor = maxId
+      SET s.valor = s.valor + $count
+      RETURN s.valor AS valor
+    `, params);
+  }
+
+  return result.records[0].get('valor').toNumber() - count + 1;
+}
+
+/**
+ * Reserva un id para un nodo con varios labels, libre en todos ellos.
+ * Se bloquea la secuencia de cada label (en orden alfabético, para que dos creaciones no se esperen
+ * mutuamente) y el id es el siguiente al mayor entre sus contadores y sus MAX(id) reales;
+ * luego todas las secuencias quedan en ese id. Devuelve el id reservado (número).
+ */
+async function nextSharedId(tx, labels) {
+  if (labels.length === 1) return nextId(tx, labels[0]);
+
+  let top = 0;
+  for (const label of [...labels].sort()) {
+    const result = await tx.run(`
+      OPTIONAL MATCH (n:\`${label}\`)
+      WITH toInteger(COALESCE(MAX(n.id), 0)) AS maxId
+      MERGE (s:Secuencia {label: $label})
+      ON CREATE SET s.valor = maxId
+      SET s._LOCK_ = true
+      REMOVE s._LOCK_
+      RETURN s.valor AS valor, maxId
+    `, { label });
+    const record = result.records[0];
+    top = Math.max(top, record.get('valor').toNumber(), record.get('maxId').toNumber());
+  }
+
+  const id = top + 1;
+  await tx.run(`
+    MATCH (s:Secuencia) WHERE s.label IN $labels
+    SET s.valor = $id
+  `, { labels, id: neo4j.int(id) });
+  return id;
+}
+
+/**
+ * Ajusta la secuencia al MAX(id) real del label. Devuelve los valores anterior y nuevo.
+ */
+async function resyncSequence(tx, label) {
+  const result = await tx.run(`
+    OPTIONAL MATCH (n:\`${label}\`)
+    WITH toInteger(COALESCE(MAX(n.id), 0)) AS maxId
+    MERGE (s:Secuencia {label: $label})
+    WITH s, s.valor AS anterior, maxId
+    SET s.valor = maxId
+    RETURN anterior, s.valor AS valor
+  `, { label });
+
+  const record = result.records[0];
+  const previous = record.get('anterior');
+  return {
+    label,
+    previous: previous === null ? null : previous.toNumber(),
+    value: record.get('valor').toNumber()
+  };
+}
+
+/**
+ * Garantiza que la secuencia del label no quede por debajo de `minValue`.
+ * Se usa al agregar un label a nodos existentes, que conservan su id.
+ */
+async function advanceSequence(tx, label, minValue) {
+  await tx.run(`
+    OPTIONAL MATCH (n:\`${label}\`)
+    WITH toInteger(COALESCE(MAX(n.id), 0)) AS maxId
+    MERGE (s:Secuencia {label: $label})
+    ON CREATE SET s.valor = maxId
+    SET s.valor = CASE WHEN s.valor < $minValue THEN $minValue ELSE s.valor END
+  `, { label, minValue: neo4j.int(minValue) });
+}
+
+/**
+ * Ids repetidos entre los nodos del label, que impiden crear la restricción de unicidad.
+ * Devuelve [{ id, elementIds }], con los nodos de cada id del más antiguo (createdAt) al más nuevo.
+ */
+async function findDuplicateIds(tx, label) {
+  const result = await tx.run(`
+    MATCH (n:\`${label}\`) WHERE n.id IS NOT NULL
+    WITH n ORDER BY n.createdAt, elementId(n)
+    WITH n.id AS id, collect(elementId(n)) AS elementIds
+    WHERE size(elementIds) > 1
+    RETURN id, elementIds
+    ORDER BY id
+  `);
+  return result.records.map(record => ({ id: record.get('id').toNumber(), elementIds: record.get('elementIds') }));
+}
+
+/**
+ * Asigna ids nuevos de la secuencia del label a los nodos con ids repetidos.
+ * En cada grupo conserva su id el nodo más antiguo; los demás reciben el siguiente id libre.
+ * Devuelve [{ elementId, previous, id }] con los cambios.
+ */
+async function renumberDuplicates(tx, label) {
+  const duplicates = await findDuplicateIds(tx, label);
+  const changes = duplicates.flatMap(({ id, elementIds }) => elementIds.slice(1).map(elementId => ({ elementId, previous: id })));
+  if (changes.length === 0) return [];
+
+  const firstId = await nextId(tx, label, changes.length);
+  changes.forEach((change, i) => { change.id = firstId + i; });
+  await tx.run(`
+    UNWIND $changes AS change
+    MATCH (n) WHERE elementId(n) = change.elementId
+    SET n.id = change.id, ${bumpVersion('n')}
+  `, { changes: changes.map(({ elementId, id }) => ({ elementId, id: neo4j.int(id) })) });
+  return changes;
+}
+
+// Indica si un error de Neo4j corresponde a una violación de restricción (id duplicado)
+function isConstraintError(error) {
+  return error.code === 'Neo.ClientError.Schema.ConstraintValidationFailed';
+}
+
+module.exports = {
+  ensureIdConstraint,
+  nextId,
+  nextSharedId,
+  resyncSequence,
+  advanceSequence,
+  findDuplicateIds,
+  renumberDuplicates,
+  isConstraintError
+};
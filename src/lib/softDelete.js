@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { bumpVersion } = require('./versioning');
+
+/**
+ * Eliminación lógica (papelera).
+ * Un nodo eliminado conserva sus datos y relaciones, pero queda marcado con
+ * eliminado = true, eliminadoEn = datetime() y un identificador de la operación (eliminacion).
+ * Sus relaciones se marcan igual, así que una relación activa siempre une dos nodos activos.
+ * Eliminar y restaurar cuentan como escrituras: incrementan la versión del elemento.
+ */
+
+// Días que un elemento permanece en la papelera antes de poder purgarse
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+// Condición Cypher que excluye nodos o relaciones eliminados, ej. notDeleted('u', 'p')
+function notDeleted(...aliases) {
+  return aliases.map(alias => `${alias}.eliminado IS NULL`).join(' AND ');
+}
+
+/**
+ * Marca como eliminados los nodos indicados (por elementId) y todas sus relaciones activas.
+ * Devuelve { deletionId, nodes, relationships } con la cantidad de elementos marcados.
+ */
+async function softDeleteNodes(tx, elementIds) {
+  const deletionId = crypto.randomUUID();
+
+  const relResult = await tx.run(`
+    UNWIND $elementIds AS eid
+    MATCH (n)-[r]-()
+    WHERE elementId(n) = eid AND n.eliminado IS NULL AND r.eliminado IS NULL
+    WITH DISTINCT r
+    SET r.eliminado = true, r.eliminadoEn = datetime(), r.eliminacion = $deletionId, ${bumpVersion('r')}
+    RETURN count(r) AS total
+  `, { elementIds, deletionId });
+
+  const nodeResult = await tx.run(`
+    UNWIND $elementIds AS eid
+    MATCH (n)
+    WHERE elementId(n) = eid AND n.eliminado IS NULL
+    SET n.eliminado = true, n.eliminadoEn = datetime(), n.eliminacion = $deletionId, ${bumpVersion('n')}
+    RETURN count(n) AS total
+  `, { elementIds, deletionId });
+
+  return {
+    deletionId,
+    nodes: nodeResult.records[0].get('total').toNumber(),
+    relationships: relResult.records[0].get('total').toNumber()
+  };
+}
+
+/**
+ * Restaura un nodo eliminado y sus relaciones cuyo otro extremo esté activo.
+ * Las relaciones hacia nodos que siguen en la papelera se restauran cuando se restaure ese nodo.
+ */
+async function restoreNode(tx, elementId) {
+  const nodeResult = await tx.run(`
+    MATCH (n)
+    WHERE elementId(n) = $elementId AND n.eliminado = true
+    REMOVE n.eliminado, n.eliminadoEn, n.eliminacion
+    SET ${bumpVersion('n')}
+    RETURN n
+  `, { elementId });
+
+  if (nodeResult.records.length === 0) return null;
+
+  const relResult = await tx.run(`
+    MATCH (n)-[r]-(other)
+    WHERE elementId(n) = $elementId AND r.eliminado = true AND other.eliminado IS NULL
+    WITH DISTINCT r
+    REMOVE r.eliminado, r.eliminadoEn, r.eliminacion
+    SET ${bumpVersion('r')}
+    RETURN count(r) AS total
+  `, { elementId });
+
+  return {
+    node: nodeResult.records[0].get('n'),
+    relationships: relResult.records[0].get('total').toNumber()
+  };
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  notDeleted,
+  softDeleteNodes,
+  restoreNode
+};
@@ -0,0 +1,147 @@
+const neo4j = require('neo4j-driver');
+const httpError = require('./httpError');
+const { notDeleted } = require('./softDelete');
+const { toPlain } = require('./values');
+const { parseInteger } = require('./queryParams');
+const { parseDate, formatDate } = require('./trends');
+
+/**
+ * Series de tiempo de publicaciones para gráficos.
+ * Las publicaciones se agrupan por categoría, conferencia o autor y se cuentan por intervalo
+ * (día, semana ISO que empieza el lunes, mes o año) según fecha_publicación.
+ * Todos los intervalos de la ventana aparecen en `labels`, y los que no tienen publicaciones valen 0,
+ * así cada serie se puede pasar directo como dataset a una librería de gráficos.
+ */
+
+const INTERVALS = ['day', 'week', 'month', 'year'];
+const MAX_BUCKETS = 1000;
+const DEFAULT_SERIES = 10;
+const MAX_SERIES = 50;
+
+// Patrón que une cada publicación (p) con su grupo (g)
+const SERIES_GROUPS = {
+  category: { pattern: '(p:Publicación)-[gr:RELACIONADO_CON]->(g:Categoría)' },
+  conference: { pattern: '(p:Publicación)-[gr:PRESENTADA_EN]->(g:Conferencia)' },
+  author: { pattern: '(g:Usuario)-[gr:PUBLICA]->(p:Publicación)' }
+};
+
+// Interacciones que se agregan como series de engagement, según la fecha de la relación
+const ENGAGEMENT_METRICS = { comments: 'COMENTA_EN', reactions: 'REACCIONA_A' };
+
+/**
+ * Lee interval, groupBy, series (cantidad de grupos) y engagement desde req.query.
+ */
+function parseTimeSeries(query) {
+  const interval = String(query.interval || 'month').toLowerCase();
+  if (!INTERVALS.includes(interval)) {
+    throw httpError(400, `El parámetro 'interval' debe ser uno de: ${INTERVALS.join(', ')}.`);
+  }
+  const groupBy = String(query.groupBy || 'category').toLowerCase();
+  if (!SERIES_GROUPS[groupBy]) {
+    throw httpError(400, `El parámetro 'groupBy' debe ser uno de: ${Object.keys(SERIES_GROUPS).join(', ')}.`);
+  }
+  return {
+    interval,
+    groupBy,
+    series: parseInteger(query.series, 'series', 1, MAX_SERIES, DEFAULT_SERIES),
+    engagement: String(query.engagement).toLowerCase() === 'true'
+  };
+}
+
+// Inicio del intervalo que contiene `date` (igual que date.truncate de Cypher)
+function bucketStart(date, interval) {
+  const result = new Date(date.getTime());
+  if (interval === 'week') result.setUTCDate(result.getUTCDate() - ((result.getUTCDay() + 6) % 7));
+  if (interval === 'month' || interval === 'year') result.setUTCDate(1);
+  if (interval === 'year') result.setUTCMonth(0);
+  return result;
+}
+
+function nextBucket(date, interval) {
+  const result = new Date(date.getTime());
+  if (interval === 'day') result.setUTCDate(result.getUTCDate() + 1);
+  if (interval === 'week') result.setUTCDate(result.getUTCDate() + 7);
+  if (interval === 'month') result.setUTCMonth(result.getUTCMonth() + 1);
+  if (interval === 'year') result.setUTCFullYear(result.getUTCFullYear() + 1);
+  return result;
+}
+
+// Inicio (YYYY-MM-DD) de cada intervalo entre from y to
+function bucketLabels(from, to, interval) {
+  const end = parseDate(to, 'to');
+  const labels = [];
+  for (let bucket = bucketStart(parseDate(from, 'from'), interval); bucket <= end; bucket = nextBucket(bucket, interval)) {
+    labels.push(formatDate(bucket));
+    if (labels.length > MAX_BUCKETS) {
+      throw httpError(400, `La ventana tiene más de ${MAX_BUCKETS} intervalos; usa un intervalo más largo o una ventana más corta.`);
+    }
+  }
+  return labels;
+}
+
+// Convierte los puntos [intervalo, cantidad] de una serie a un arreglo alineado con labels (0 donde no hay datos)
+function fill(labels, points) {
+  const counts = new Map(points.map(([bucket, count]) => [bucket, toPlain(count)]));
+  return labels.map(label => counts.get(label) || 0);
+}
+
+/**
+ * Calcula las series de la ventana { from, to } para los `series` grupos con más publicaciones.
+ * Devuelve { labels, series }, donde cada serie es { group: { id, name }, metric, total, data }
+ * y metric es publications (o comments / reactions si se pidió engagement).
+ */
+async function publicationTimeSeries(session, { from, to }, { interval, groupBy, series, engagement }) {
+  const labels = bucketLabels(from, to, interval);
+  const { pattern } = SERIES_GROUPS[groupBy];
+
+  const result = await session.run(`
+    MATCH ${pattern}
+    WHERE ${notDeleted('p', 'gr', 'g')}
+      AND date(p.fecha_publicación) >= date($from) AND date(p.fecha_publicación) <= date($to)
+    WITH g, date.truncate('${interval}', date(p.fecha_publicación)) AS bucket, count(DISTINCT p) AS total
+    WITH g, collect([toString(bucket), total]) AS points, sum(total) AS groupTotal
+    RETURN g.id AS id, coalesce(g.nombre, g.título) AS name, points, groupTotal AS total
+    ORDER BY total DESC, id ASC
+    LIMIT $series
+  `, { from, to, series: neo4j.int(series) });
+
+  const groups = result.records.map(record => ({
+    group: { id: toPlain(record.get('id')), name: record.get('name') },
+    points: record.get('points'),
+    total: toPlain(record.get('total'))
+  }));
+
+  const output = groups.map(({ group, points, total }) => ({
+    group, metric: 'publications', total, data: fill(labels, points)
+  }));
+
+  if (engagement && groups.length > 0) {
+    const engagementResult = await session.run(`
+      MATCH ${pattern}
+      WHERE g.id IN $ids AND ${notDeleted('p', 'gr', 'g')}
+      MATCH (p)<-[e:COMENTA_EN|REACCIONA_A]-(u:Usuario)
+      WHERE ${notDeleted('e', 'u')}
+      WITH g, type(e) AS kind, e, coalesce(date(e.fecha), date(e.createdAt)) AS fecha
+      WHERE fecha >= date($from) AND fecha <= date($to)
+      WITH g, kind, date.truncate('${interval}', fecha) AS bucket, count(DISTINCT e) AS total
+      RETURN g.id AS id, kind, collect([toString(bucket), total]) AS points
+    `, { ids: groups.map(({ group }) => group.id), from, to });
+
+    const byGroup = new Map(engagementResult.records.map(record => [
+      `${toPlain(record.get('id'))}:${record.get('kind')}`, record.get('points')
+    ]));
+    groups.forEach(({ group }) => {
+      Object.entries(ENGAGEMENT_METRICS).forEach(([metric, type]) => {
+        const data = fill(labels, byGroup.get(`${group.id}:${type}`) || []);
+        output.push({ group, metric, total: data.reduce((sum, count) => sum + count, 0), data });
+      });
+    });
+  }
+
+  return { labels, series: output };
+}
+
+module.exports = {
+  parseTimeSeries,
+  publicationTimeSeries
+};
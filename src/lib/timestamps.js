@@ -0,0 +1,65 @@
+const httpError = require('./httpError');
+
+/**
+ * Marcas de auditoría de nodos y relaciones.
+ * - createdAt / updatedAt: datetime de Neo4j; toda escritura actualiza updatedAt (ver bumpVersion)
+ * - createdBy: quien creó el elemento, tomado del header X-Usuario cuando se envía
+ * Los elementos creados antes de estas marcas no las tienen y no aparecen en los filtros createdSince / updatedSince.
+ */
+
+const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt', 'createdBy'];
+
+// Parámetros de query que filtran por fecha de creación o de última modificación
+const CHANGE_FILTERS = { createdSince: 'createdAt', updatedSince: 'updatedAt' };
+const CHANGE_FILTER_KEYS = Object.keys(CHANGE_FILTERS);
+
+// Asignaciones de creación, para agregar al SET del CREATE (requiere el parámetro $createdBy, que puede ser null)
+function stampCreated(alias) {
+  return `${alias}.createdAt = datetime(), ${alias}.updatedAt = datetime(), ${alias}.createdBy = $createdBy`;
+}
+
+// Asignación de modificación, para agregar a cualquier SET
+function stampUpdated(alias) {
+  return `${alias}.updatedAt = datetime()`;
+}
+
+// Lee el header X-Usuario; devuelve null si no se envió
+function callerOf(req) {
+  const caller = String(req.get('X-Usuario') || '').trim();
+  if (!caller) return null;
+  if (caller.length > 200) {
+    throw httpError(400, "El header X-Usuario admite como máximo 200 caracteres.");
+  }
+  return caller;
+}
+
+/**
+ * Condiciones Cypher de createdSince / updatedSince sobre `alias`.
+ * Aceptan una fecha o un datetime ISO 8601 (ej. 2024-05-01 o 2024-05-01T12:00:00Z).
+ * Devuelve { conditions, params }.
+ */
+function buildChangeFilter(alias, query) {
+  const conditions = [];
+  const params = {};
+
+  CHANGE_FILTER_KEYS.forEach(key => {
+    if (query[key] === undefined || query[key] === '') return;
+    const time = new Date(String(query[key]));
+    if (Number.isNaN(time.getTime())) {
+      throw httpError(400, `El parámetro '${key}' debe ser una fecha ISO 8601, ej. 2024-05-01 o 2024-05-01T12:00:00Z.`);
+    }
+    conditions.push(`${alias}.${CHANGE_FILTERS[key]} >= datetime($${key})`);
+    params[key] = time.toISOString();
+  });
+
+  return { conditions, params };
+}
+
+module.exports = {
+  TIMESTAMP_FIELDS,
+  CHANGE_FILTER_KEYS,
+  stampCreated,
+  stampUpdated,
+  callerOf,
+  buildChangeFilter
+};
@@ -0,0 +1,164 @@
+const httpError = require('./httpError');
+const { notDeleted } = require('./softDelete');
+
+/**
+ * Ventanas de tiempo para las tendencias.
+ * Una ventana es un rango de fechas [from, to] (ambas inclusive) sobre fecha_publicación.
+ * Se compara con la ventana anterior de la misma cantidad de días, que termina el día antes de from,
+ * para distinguir lo que crece (acelera) de lo que solo es grande.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_UNITS = ['d', 'w', 'm', 'y'];
+const TREND_SORTS = ['growth', 'count', 'delta'];
+
+// Lee una fecha YYYY-MM-DD como fecha UTC
+function parseDate(value, name) {
+  const text = String(value);
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(text) ? Date.parse(`${text}T00:00:00Z`) : NaN;
+  if (Number.isNaN(time)) {
+    throw httpError(400, `El parámetro '${name}' debe ser una fecha con la forma YYYY-MM-DD.`);
+  }
+  return new Date(time);
+}
+
+// Lee la longitud de la ventana: un número seguido de d, w, m o y (ej. 30d, 12w, 6m, 1y)
+function parseWindowLength(value) {
+  const match = /^(\d+)([dwmy])$/i.exec(String(value).trim());
+  if (!match || Number(match[1]) < 1) {
+    throw httpError(400, `El parámetro 'window' debe ser un entero positivo seguido de ${WINDOW_UNITS.join(', ')} (ej. 30d, 6m).`);
+  }
+  return { amount: Number(match[1]), unit: match[2].toLowerCase() };
+}
+
+// Suma (sign = 1) o resta (sign = -1) una longitud de ventana a una fecha
+function shift(date, { amount, unit }, sign) {
+  const result = new Date(date.getTime());
+  if (unit === 'd') result.setUTCDate(result.getUTCDate() + sign * amount);
+  if (unit === 'w') result.setUTCDate(result.getUTCDate() + sign * amount * 7);
+  if (unit === 'm') result.setUTCMonth(result.getUTCMonth() + sign * amount);
+  if (unit === 'y') result.setUTCFullYear(result.getUTCFullYear() + sign * amount);
+  return result;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function today() {
+  return parseDate(formatDate(new Date()), 'to');
+}
+
+/**
+ * Lee from, to y window desde req.query. Se pueden combinar dos de los tres:
+ * - from y to: la ventana es el rango indicado
+ * - window (y opcionalmente to, por defecto hoy): la ventana termina en to
+ * - from y window: la ventana empieza en from
+ * Los que falten se toman de `defaults` ({ from } o { window }, ej. { window: '6m' }).
+ * Devuelve { from, to, days, previousFrom, previousTo } con las fechas como YYYY-MM-DD.
+ */
+function parseTrendWindow(query, defaults = {}) {
+  const given = ['from', 'to', 'window'].filter(key => query[key] !== undefined && query[key] !== '');
+  if (given.length === 3) {
+    throw httpError(400, "Indica a lo sumo dos de los parámetros 'from', 'to' y 'window'.");
+  }
+
+  // Los parámetros indicados reemplazan a los de `defaults` uno por uno; from y window por defecto
+  // se descartan si se indicó el otro, porque juntos fijarían la ventana sin contar con to
+  const source = { ...defaults };
+  if (given.includes('from')) delete source.window;
+  if (given.includes('window')) delete source.from;
+  given.forEach(key => { source[key] = query[key]; });
+  const length = source.window ? parseWindowLength(source.window) : null;
+  let from = source.from ? parseDate(source.from, 'from') : null;
+  let to = source.to ? parseDate(source.to, 'to') : null;
+
+  if (from && length && !to) {
+    to = addDays(shift(from, length, 1), -1);
+  } else {
+    to = to || today();
+    if (!from) from = length ? addDays(shift(to, length, -1), 1) : null;
+  }
+  if (!from) {
+    throw httpError(400, "Se requiere el parámetro 'from' o 'window'.");
+  }
+  if (from > to) {
+    throw httpError(400, "El parámetro 'from' debe ser anterior o igual a 'to'.");
+  }
+
+  const days = Math.round((to - from) / DAY_MS) + 1;
+  return {
+    from: formatDate(from),
+    to: formatDate(to),
+    days,
+    previousFrom: formatDate(addDays(from, -days)),
+    previousTo: formatDate(addDays(from, -1))
+  };
+}
+
+// Lee sort (growth | count | delta) desde req.query
+function parseTrendSort(query) {
+  const sort = String(query.sort || 'growth').toLowerCase();
+  if (!TREND_SORTS.includes(sort)) {
+    throw httpError(400, `El parámetro 'sort' debe ser uno de: ${TREND_SORTS.join(', ')}.`);
+  }
+  return sort;
+}
+
+function compareTrends(sort) {
+  const byCount = (a, b) => b.count - a.count || String(a.category).localeCompare(String(b.category));
+  if (sort === 'count') return byCount;
+  if (sort === 'delta') return (a, b) => (b.count - b.previousCount) - (a.count - a.previousCount) || byCount(a, b);
+  // growth: las nuevas entradas (sin publicaciones en la ventana anterior) crecen más que cualquier porcentaje
+  return (a, b) => {
+    if (a.newEntrant !== b.newEntrant) return a.newEntrant ? -1 : 1;
+    if (a.newEntrant) return byCount(a, b);
+    return b.growth - a.growth || byCount(a, b);
+  };
+}
+
+/**
+ * Categorías con publicaciones en la ventana, comparadas con la ventana anterior.
+ * Cada elemento trae { category, count, previousCount, growth, newEntrant }, donde growth es el
+ * crecimiento porcentual (null si no hubo publicaciones en la ventana anterior) y newEntrant indica
+ * que la categoría no tuvo publicaciones en la ventana anterior.
+ */
+async function trendingCategories(session, window, { sort = 'growth', limit = 10 } = {}) {
+  const result = await session.run(`
+    MATCH (p:Publicación)-[rc:RELACIONADO_CON]->(c:Categoría)
+    WHERE ${notDeleted('p', 'rc', 'c')}
+      AND date(p.fecha_publicación) >= date($previousFrom) AND date(p.fecha_publicación) <= date($to)
+    WITH c, p, date(p.fecha_publicación) AS fecha
+    RETURN c.nombre AS category,
+           count(DISTINCT CASE WHEN fecha >= date($from) THEN p END) AS count,
+           count(DISTINCT CASE WHEN fecha < date($from) THEN p END) AS previousCount
+  `, window);
+
+  return result.records
+    .map(record => {
+      const count = record.get('count').toNumber();
+      const previousCount = record.get('previousCount').toNumber();
+      return {
+        category: record.get('category'),
+        count,
+        previousCount,
+        growth: previousCount > 0 ? Math.round(((count - previousCount) / previousCount) * 1000) / 10 : null,
+        newEntrant: previousCount === 0
+      };
+    })
+    .filter(trend => trend.count > 0)
+    .sort(compareTrends(sort))
+    .slice(0, limit);
+}
+
+module.exports = {
+  parseDate,
+  formatDate,
+  parseTrendWindow,
+  parseTrendSort,
+  trendingCategories
+};
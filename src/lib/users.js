@@ -0,0 +1,23 @@
+const httpError = require('./httpError');
+const { notDeleted } = require('./softDelete');
+
+// Verifica que el usuario exista y no esté en la papelera
+async function userExists(session, id) {
+  const result = await session.run(
+    `MATCH (u:Usuario {id: $id}) WHERE ${notDeleted('u')} RETURN count(u) AS total`,
+    { id }
+  );
+  return result.records[0].get('total').toNumber() > 0;
+}
+
+// Igual que userExists, pero lanza un 404 si el usuario no existe
+async function assertUser(session, id) {
+  if (!(await userExists(session, id))) {
+    throw httpError(404, "Usuario no encontrado.");
+  }
+}
+
+module.exports = {
+  userExists,
+  assertUser
+};
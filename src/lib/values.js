@@ -0,0 +1,47 @@
+const neo4j = require('neo4j-driver');
+
+// Tipos temporales de Neo4j y la función Cypher que los construye a partir de un string ISO
+const TEMPORAL_TYPES = [
+  { check: neo4j.isDate, fn: 'date' },
+  { check: neo4j.isDateTime, fn: 'datetime' },
+  { check: neo4j.isLocalDateTime, fn: 'localdatetime' },
+  { check: neo4j.isTime, fn: 'time' },
+  { check: neo4j.isLocalTime, fn: 'localtime' }
+];
+
+function temporalFunction(value) {
+  const match = TEMPORAL_TYPES.find(({ check }) => check(value));
+  return match ? match.fn : null;
+}
+
+// Convierte valores devueltos por el driver (Integer, fechas, listas, mapas) a JSON plano
+function toPlain(value) {
+  if (value === null || value === undefined) return value;
+  if (neo4j.isInt(value)) return value.inSafeRange() ? value.toNumber() : value.toString();
+  if (temporalFunction(value) || neo4j.isDuration(value)) return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, toPlain(val)]));
+  }
+  return value;
+}
+
+/**
+ * Compara dos valores de propiedad por valor y por tipo Neo4j: un Integer no es igual a un float
+ * con el mismo número, y las listas se comparan elemento por elemento.
+ */
+function sameValue(a, b) {
+  if (neo4j.isInt(a) || neo4j.isInt(b)) return neo4j.isInt(a) && neo4j.isInt(b) && a.equals(b);
+  const fn = temporalFunction(a);
+  if (fn || temporalFunction(b)) return fn === temporalFunction(b) && a.toString() === b.toString();
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => sameValue(item, b[i]));
+  }
+  return a === b;
+}
+
+module.exports = {
+  temporalFunction,
+  toPlain,
+  sameValue
+};
@@ -0,0 +1,119 @@
+const neo4j = require('neo4j-driver');
+const httpError = require('./httpError');
+const { TIMESTAMP_FIELDS, stampUpdated } = require('./timestamps');
+
+/**
+ * Control de concurrencia optimista.
+ * Cada nodo y relación guarda un número de versión (version) que aumenta en cada escritura
+ * y se expone en el header ETag. Una escritura con If-Match distinto de la versión actual responde 412.
+ * Los elementos creados antes de este esquema no tienen version y se tratan como versión 0.
+ * Cada escritura también actualiza la marca updatedAt (ver timestamps.js).
+ */
+
+// Propiedades administradas por la API: PUT las conserva y los clientes no pueden escribirlas
+const SYSTEM_FIELDS = ['id', 'version', 'eliminado', 'eliminadoEn', 'eliminacion', ...TIMESTAMP_FIELDS];
+
+function versionOf(properties) {
+  const version = properties && properties.version;
+  if (version === undefined || version === null) return 0;
+  return neo4j.isInt(version) ? version.toNumber() : Number(version);
+}
+
+function etag(version) {
+  return `"${version}"`;
+}
+
+// Agrega el ETag de la versión actual a la respuesta
+function setETag(res, properties) {
+  res.set('ETag', etag(versionOf(properties)));
+}
+
+/**
+ * Lee el header If-Match. Devuelve null si no se envió (o es *), o la lista de versiones aceptadas.
+ * Acepta ETags fuertes ("3") y débiles (W/"3").
+ */
+function parseIfMatch(req) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return null;
+
+  return header.split(',').map(tag => {
+    const match = /^\s*(?:W\/)?"(\d+)"\s*$/.exec(tag);
+    if (!match) {
+      throw httpError(400, 'El header If-Match debe contener ETags de versión, ej. "3".');
+    }
+    return Number(match[1]);
+  });
+}
+
+// Quita los campos de sistema de las propiedades enviadas por el cliente
+function withoutSystemFields(properties) {
+  const result = { ...properties };
+  SYSTEM_FIELDS.forEach(field => delete result[field]);
+  return result;
+}
+
+// Los campos de sistema no se pueden eliminar con REMOVE
+function rejectSystemFields(keys) {
+  const errors = keys
+    .filter(key => SYSTEM_FIELDS.includes(key))
+    .map(field => ({ field, message: 'es un campo de sistema y no se puede eliminar' }));
+  if (errors.length > 0) {
+    throw httpError(400, "No se pueden eliminar campos de sistema.", errors);
+  }
+}
+
+// Asignación que incrementa la versión (y marca updatedAt), para agregar a cualquier SET
+function bumpVersion(alias) {
+  return `${alias}.version = coalesce(${alias}.version, 0) + 1, ${stampUpdated(alias)}`;
+}
+
+/**
+ * Reemplaza todas las propiedades de `alias` por el parámetro `param`, conservando los campos de sistema
+ * e incrementando la versión. Las variables anteriores al WITH (salvo alias) dejan de estar disponibles.
+ */
+function replaceClause(alias, param) {
+  const projection = SYSTEM_FIELDS.map(field => `.${field}`).join(', ');
+  return `
+    WITH ${alias}, ${alias} {${projection}} AS system
+    SET ${alias} = $${param}
+    SET ${alias} += system, ${alias}.version = coalesce(system.version, 0) + 1, ${stampUpdated(alias)}
+  `;
+}
+
+/**
+ * Toma el bloqueo de escritura de los elementos que encuentra `match` (idioma _LOCK_) y verifica If-Match.
+ * El bloqueo se mantiene hasta que termina la transacción, así nadie puede escribir entre la
+ * verificación y la actualización. Devuelve la versión actual, o null si no hay elementos.
+ */
+async function lockForWrite(tx, { match, alias, params, expected }) {
+  const result = await tx.run(`
+    ${match}
+    SET ${alias}._LOCK_ = true
+    REMOVE ${alias}._LOCK_
+    RETURN coalesce(${alias}.version, 0) AS version
+  `, params);
+
+  if (result.records.length === 0) return null;
+
+  const versions = result.records.map(record => record.get('version').toNumber());
+  if (expected && versions.some(version => !expected.includes(version))) {
+    throw httpError(412, "El elemento fue modificado por otra solicitud; vuelve a leerlo y reintenta.", {
+      currentVersion: versions[0],
+      etag: etag(versions[0])
+    });
+  }
+  return versions[0];
+}
+
+module.exports = {
+  SYSTEM_FIELDS,
+  versionOf,
+  etag,
+  setETag,
+  parseIfMatch,
+  withoutSystemFields,
+  rejectSystemFields,
+  bumpVersion,
+  replaceClause,
+  lockForWrite
+};
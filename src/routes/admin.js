@@ -0,0 +1,560 @@
+const express = require('express');
+const router = express.Router();
+const { driver } = require('../db');
+const { ensureIdConstraint, resyncSequence, findDuplicateIds, renumberDuplicates } = require('../lib/sequences');
+const { SCHEMAS, checkProperties } = require('../lib/schemas');
+const { RELATION_RULES } = require('../lib/relationRules');
+const { DELETE_POLICIES } = require('../lib/deletePolicies');
+const { toPlain, sameValue } = require('../lib/values');
+const { sanitizeLabel, assertPropertyKeys, propertyRef } = require('../lib/queryBuilder');
+const { notDeleted } = require('../lib/softDelete');
+const { bumpVersion } = require('../lib/versioning');
+const { recomputeCentrality, describeCache } = require('../lib/centrality');
+
+// Cantidad de nodos que se actualizan por transacción al migrar tipos
+const MIGRATION_BATCH_SIZE = 500;
+
+/**
+ * 1️⃣ Estado de las secuencias de IDs
+ * GET /admin/sequences
+ */
+
+/**
+ * @swagger
+ * /admin/sequences:
+ *   get:
+ *     summary: Lista las secuencias de IDs por label
+ *     description: Retorna el último id asignado por cada secuencia junto con el MAX(id) real de los nodos del label.
+ *     tags:
+ *       - Admin
+ *     responses:
+ *       200:
+ *         description: Lista de secuencias.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sequences:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       label:
+ *                         type: string
+ *                         example: "Usuario"
+ *                       value:
+ *                         type: integer
+ *                         description: Último id entregado por la secuencia.
+ *                         example: 120
+ *                       maxId:
+ *                         type: integer
+ *                         description: Mayor id existente entre los nodos del label.
+ *                         example: 120
+ *                       inSync:
+ *                         type: boolean
+ *                         example: true
+ *       500:
+ *         description: Error en el servidor al consultar las secuencias.
+ */
+router.get('/sequences', async (req, res) => {
+  const session = driver.session();
+  try {
+    const result = await session.run(`
+      MATCH (s:Secuencia)
+      RETURN s.label AS label, s.valor AS valor
+      ORDER BY label
+    `);
+
+    const sequences = [];
+    for (const record of result.records) {
+      const label = sanitizeLabel(record.get('label'));
+      const maxResult = await session.run(`MATCH (n:\`${label}\`) RETURN toInteger(COALESCE(MAX(n.id), 0)) AS maxId`);
+      const value = record.get('valor').toNumber();
+      const maxId = maxResult.records[0].get('maxId').toNumber();
+      sequences.push({ label, value, maxId, inSync: value >= maxId });
+    }
+
+    res.json({ sequences });
+  } catch (error) {
+    console.error("Error al consultar secuencias:", error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 2️⃣ Resincronizar la secuencia de un label con los datos existentes
+ * POST /admin/sequences/:label/resync
+ */
+
+/**
+ * @swagger
+ * /admin/sequences/{label}/resync:
+ *   post:
+ *     summary: Resincroniza la secuencia de IDs de un label
+ *     description: Ajusta el contador del label al MAX(id) de sus nodos y asegura la restricción de unicidad (label, id). Si hay nodos con ids repetidos la secuencia se ajusta igual, pero la restricción no puede crearse; responde 409 con la lista de ids repetidos, que se corrigen con POST /admin/sequences/{label}/renumber.
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Label cuya secuencia se desea resincronizar.
+ *     responses:
+ *       200:
+ *         description: Secuencia resincronizada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Secuencia de Usuario resincronizada."
+ *                 sequence:
+ *                   type: object
+ *                   example: { "label": "Usuario", "previous": 98, "value": 120 }
+ *       400:
+ *         description: Label inválido.
+ *       409:
+ *         description: Hay nodos del label con ids repetidos; la secuencia se resincronizó pero la restricción de unicidad no se creó.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               example: { "error": "Hay 2 ids repetidos en Usuario.", "sequence": { "label": "Usuario", "previous": 98, "value": 120 }, "duplicates": [{ "id": 14, "count": 2, "elementIds": ["4:abc:14", "4:abc:90"] }] }
+ *       500:
+ *         description: Error en el servidor al resincronizar la secuencia.
+ */
+router.post('/sequences/:label/resync', async (req, res) => {
+  const session = driver.session();
+  const label = sanitizeLabel(req.params.label);
+
+  if (!label) {
+    return res.status(400).json({ error: "Se requiere un label válido." });
+  }
+
+  try {
+    // La secuencia se ajusta aunque haya ids repetidos; la restricción solo puede crearse sin ellos
+    const { sequence, duplicates } = await session.executeWrite(async tx => ({
+      sequence: await resyncSequence(tx, label),
+      duplicates: await findDuplicateIds(tx, label)
+    }));
+    if (duplicates.length > 0) {
+      return res.status(409).json({
+        error: `Hay ${duplicates.length} ids repetidos en ${label}; la restricción de unicidad no se creó. Se corrigen con POST /admin/sequences/${label}/renumber.`,
+        sequence,
+        duplicates: duplicates.map(({ id, elementIds }) => ({ id, count: elementIds.length, elementIds }))
+      });
+    }
+
+    await ensureIdConstraint(label);
+    res.json({ message: `Secuencia de ${label} resincronizada.`, sequence });
+  } catch (error) {
+    console.error("Error al resincronizar secuencia:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 3️⃣ Esquemas registrados por label, reglas por tipo de relación y políticas de eliminación
+ * GET /admin/schemas
+ */
+
+/**
+ * @swagger
+ * /admin/schemas:
+ *   get:
+ *     summary: Lista los esquemas de propiedades registrados
+ *     description: Retorna, por label, el tipo de cada propiedad y si es obligatoria, sus valores permitidos y su valor por defecto. En relations retorna, por tipo de relación, los labels permitidos en sus extremos, sus propiedades y su cardinalidad, y en deletePolicies las relaciones que impiden eliminar un nodo (restrict) o que arrastran a sus dependientes (cascade).
+ *     tags:
+ *       - Admin
+ *     responses:
+ *       200:
+ *         description: Esquemas registrados.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schemas:
+ *                   type: object
+ *                   example: { "Usuario": { "rol": { "type": "string", "enum": ["estudiante", "investigador", "profesor"], "default": "estudiante" } } }
+ *                 relations:
+ *                   type: object
+ *                   example: { "PRESENTADA_EN": { "from": ["Publicación"], "to": ["Conferencia"], "properties": { "fecha": { "type": "date" } }, "cardinality": { "maxFrom": 1 } } }
+ *                 deletePolicies:
+ *                   type: object
+ *                   example: { "Conferencia": { "restrict": [{ "type": "PRESENTADA_EN", "direction": "in" }] } }
+ */
+router.get('/schemas', (req, res) => {
+  res.json({ schemas: SCHEMAS, relations: RELATION_RULES, deletePolicies: DELETE_POLICIES });
+});
+
+/**
+ * 4️⃣ Convertir los valores ya guardados a los tipos del esquema
+ * POST /admin/schemas/:label/migrate
+ * Por ejemplo, fecha_publicación guardada como string pasa a ser un date() de Neo4j.
+ */
+
+/**
+ * @swagger
+ * /admin/schemas/{label}/migrate:
+ *   post:
+ *     summary: Convierte las propiedades existentes de un label a los tipos de su esquema
+ *     description: Recorre los nodos del label y reescribe las propiedades cuyo tipo guardado no coincide con el esquema (por ejemplo fechas guardadas como texto). Los valores que no se pueden convertir se reportan sin modificarse.
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Label con esquema registrado.
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true solo reporta los cambios sin escribirlos.
+ *     responses:
+ *       200:
+ *         description: Resultado de la migración.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 updated:
+ *                   type: integer
+ *                   example: 12
+ *                 invalid:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "id": 4, "errors": [{ "field": "fecha_publicación", "message": "debe ser una fecha con formato YYYY-MM-DD", "value": "marzo 2024" }] }]
+ *       404:
+ *         description: El label no tiene un esquema registrado.
+ *       500:
+ *         description: Error en el servidor al migrar los valores.
+ */
+router.post('/schemas/:label/migrate', async (req, res) => {
+  const session = driver.session();
+  const label = sanitizeLabel(req.params.label);
+  const schema = SCHEMAS[label];
+  const dryRun = String(req.query.dryRun).toLowerCase() === 'true';
+
+  if (!schema) {
+    return res.status(404).json({ error: `No hay un esquema registrado para ${label}.` });
+  }
+
+  try {
+    const result = await session.run(`MATCH (n:\`${label}\`) RETURN elementId(n) AS elementId, properties(n) AS props`);
+
+    const updates = [];
+    const invalid = [];
+    result.records.forEach(record => {
+      const props = record.get('props');
+      const { properties, errors } = checkProperties(schema, props, { partial: true });
+      if (errors.length > 0) {
+        invalid.push({ id: toPlain(props.id), errors: toPlain(errors) });
+        return;
+      }
+      // Solo se reescriben las propiedades cuya conversión produjo un valor distinto
+      const changed = Object.fromEntries(
+        Object.keys(schema)
+          .filter(field => props[field] !== undefined && !sameValue(properties[field], props[field]))
+          .map(field => [field, properties[field]])
+      );
+      if (Object.keys(changed).length > 0) {
+        updates.push({ elementId: record.get('elementId'), id: toPlain(props.id), props: changed });
+      }
+    });
+
+    if (!dryRun) {
+      for (let i = 0; i < updates.length; i += MIGRATION_BATCH_SIZE) {
+        const batch = updates.slice(i, i + MIGRATION_BATCH_SIZE);
+        await session.executeWrite(tx => tx.run(`
+          UNWIND $batch AS u
+          MATCH (n) WHERE elementId(n) = u.elementId
+          SET n += u.props, ${bumpVersion('n')}
+        `, { batch: batch.map(({ elementId, props }) => ({ elementId, props })) }));
+      }
+    }
+
+    res.json({
+      message: dryRun
+        ? `${updates.length} nodos de ${label} serían actualizados.`
+        : `${updates.length} nodos de ${label} actualizados.`,
+      updated: updates.length,
+      changes: updates.map(({ id, props }) => ({ id, fields: Object.keys(props) })),
+      invalid
+    });
+  } catch (error) {
+    console.error("Error al migrar tipos del esquema:", error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 5️⃣ Colapsar relaciones duplicadas
+ * POST /admin/relations/deduplicate
+ * Dos relaciones activas son duplicadas si tienen el mismo tipo, el mismo par de nodos y, si se indica `key`,
+ * el mismo valor en esa propiedad. Se conserva una por grupo, que recibe las propiedades que le falten
+ * de las demás, y el resto se elimina.
+ */
+
+/**
+ * @swagger
+ * /admin/relations/deduplicate:
+ *   post:
+ *     summary: Colapsa relaciones duplicadas
+ *     description: Busca relaciones activas del mismo tipo entre el mismo par de nodos (y con el mismo valor en key, si se indica). De cada grupo conserva la primera, completa sus propiedades faltantes con las de las demás y elimina el resto. Con dryRun=true solo informa qué se colapsaría.
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Tipo de relación a revisar (todos si se omite).
+ *       - in: query
+ *         name: key
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Propiedad que también debe coincidir para considerar duplicadas dos relaciones.
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true no se modifica nada.
+ *     responses:
+ *       200:
+ *         description: Resultado del colapso.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Se eliminaron 14 relaciones duplicadas en 9 grupos."
+ *                 groups:
+ *                   type: integer
+ *                 removed:
+ *                   type: integer
+ *                 byType:
+ *                   type: object
+ *                   example: { "SIGUE_A": 10, "REACCIONA_A": 4 }
+ *                 sample:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "type": "SIGUE_A", "from": { "labels": ["Usuario"], "id": 7 }, "to": { "labels": ["Usuario"], "id": 9 }, "count": 3 }]
+ *       400:
+ *         description: key no es un nombre de propiedad válido.
+ *       500:
+ *         description: Error en el servidor al colapsar las relaciones.
+ */
+router.post('/relations/deduplicate', async (req, res) => {
+  const session = driver.session();
+  const type = req.query.type ? sanitizeLabel(String(req.query.type)) : null;
+  const key = req.query.key ? String(req.query.key) : null;
+  const dryRun = String(req.query.dryRun).toLowerCase() === 'true';
+
+  try {
+    if (key) assertPropertyKeys([key]);
+    const keyValue = key ? propertyRef('r', key) : 'null';
+
+    const result = await session.run(`
+      MATCH (a)-[r${type ? `:\`${type}\`` : ''}]->(b)
+      WHERE ${notDeleted('r')}${key ? ` AND ${keyValue} IS NOT NULL` : ''}
+      WITH a, b, type(r) AS type, ${keyValue} AS keyValue, r
+      ORDER BY elementId(r)
+      WITH a, b, type, keyValue, collect(r) AS rels
+      WHERE size(rels) > 1
+      RETURN type, {labels: labels(a), id: a.id} AS from, {labels: labels(b), id: b.id} AS to,
+             [x IN rels | elementId(x)] AS elementIds, [x IN rels | properties(x)] AS props
+    `);
+
+    const groups = result.records.map(record => {
+      const [keep, ...duplicates] = record.get('elementIds');
+      // La relación conservada mantiene sus valores; solo recibe las propiedades que le falten
+      const merged = record.get('props').reduceRight((acc, props) => ({ ...acc, ...props }), {});
+      return {
+        type: record.get('type'),
+        from: toPlain(record.get('from')),
+        to: toPlain(record.get('to')),
+        keep,
+        duplicates,
+        props: merged
+      };
+    });
+
+    if (!dryRun) {
+      for (let i = 0; i < groups.length; i += MIGRATION_BATCH_SIZE) {
+        const batch = groups.slice(i, i + MIGRATION_BATCH_SIZE);
+        await session.executeWrite(tx => tx.run(`
+          UNWIND $batch AS g
+          MATCH ()-[keep]->() WHERE elementId(keep) = g.keep
+          SET keep += g.props, ${bumpVersion('keep')}
+          WITH g
+          MATCH ()-[dup]->() WHERE elementId(dup) IN g.duplicates
+          DELETE dup
+        `, {
+          batch: batch.map(({ keep, duplicates, props }) => {
+            const { version, ...rest } = props;
+            return { keep, duplicates, props: rest };
+          })
+        }));
+      }
+    }
+
+    const removed = groups.reduce((sum, group) => sum + group.duplicates.length, 0);
+    const byType = groups.reduce((acc, group) => {
+      acc[group.type] = (acc[group.type] || 0) + group.duplicates.length;
+      return acc;
+    }, {});
+
+    res.json({
+      message: dryRun
+        ? `Se eliminarían ${removed} relaciones duplicadas en ${groups.length} grupos.`
+        : `Se eliminaron ${removed} relaciones duplicadas en ${groups.length} grupos.`,
+      groups: groups.length,
+      removed,
+      byType,
+      sample: groups.slice(0, 10).map(({ type, from, to, duplicates }) => ({
+        type, from, to, count: duplicates.length + 1
+      }))
+    });
+  } catch (error) {
+    console.error("Error al colapsar relaciones duplicadas:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 6️⃣ Recalcular las métricas de centralidad del grafo de seguidores
+ * POST /admin/centrality/recompute
+ */
+
+/**
+ * @swagger
+ * /admin/centrality/recompute:
+ *   post:
+ *     summary: Recalcula PageRank, betweenness y closeness sobre el grafo SIGUE_A
+ *     description: Lee los usuarios y relaciones SIGUE_A activos, recalcula las tres métricas y reemplaza el caché que usa GET /advanced/influence-ranking. Siempre inicia un cálculo nuevo, aunque haya otro en curso, para reflejar los cambios hechos antes de la solicitud.
+ *     tags:
+ *       - Admin
+ *     responses:
+ *       200:
+ *         description: Métricas recalculadas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               example: { "message": "Métricas de centralidad recalculadas.", "cache": { "computedAt": "2024-05-01T12:00:00.000Z", "durationMs": 340, "users": 1500, "edges": 9200 } }
+ *       500:
+ *         description: Error al calcular las métricas.
+ */
+router.post('/centrality/recompute', async (req, res) => {
+  const session = driver.session();
+
+  try {
+    const centrality = await recomputeCentrality(session);
+    res.json({ message: "Métricas de centralidad recalculadas.", cache: describeCache(centrality) });
+  } catch (error) {
+    console.error("Error al recalcular la centralidad:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 7️⃣ Renumerar nodos con ids repetidos
+ * POST /admin/sequences/:label/renumber
+ * En cada grupo de nodos con el mismo id conserva su id el más antiguo; los demás reciben ids nuevos
+ * de la secuencia del label. Después se crea la restricción de unicidad (label, id).
+ */
+
+/**
+ * @swagger
+ * /admin/sequences/{label}/renumber:
+ *   post:
+ *     summary: Asigna ids nuevos a los nodos con ids repetidos
+ *     description: De cada grupo de nodos del label con el mismo id conserva el id el más antiguo (por createdAt) y asigna a los demás ids nuevos de la secuencia. Luego crea la restricción de unicidad (label, id). Las relaciones no cambian, pero quienes guarden los ids anteriores deben actualizarlos con la lista changes. Con dryRun=true solo informa qué nodos se renumerarían.
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Label cuyos ids repetidos se desean corregir.
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true no se modifica nada.
+ *     responses:
+ *       200:
+ *         description: Nodos renumerados (o vista previa con dryRun=true).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               example: { "message": "Se renumeraron 2 nodos de Usuario.", "renumbered": 2, "changes": [{ "elementId": "4:abc:90", "previous": 14, "id": 121 }] }
+ *       400:
+ *         description: Label inválido.
+ *       500:
+ *         description: Error en el servidor al renumerar los nodos.
+ */
+router.post('/sequences/:label/renumber', async (req, res) => {
+  const session = driver.session();
+  const label = sanitizeLabel(req.params.label);
+  const dryRun = String(req.query.dryRun).toLowerCase() === 'true';
+
+  if (!label) {
+    return res.status(400).json({ error: "Se requiere un label válido." });
+  }
+
+  try {
+    if (dryRun) {
+      const duplicates = await session.executeRead(tx => findDuplicateIds(tx, label));
+      const changes = duplicates.flatMap(({ id, elementIds }) => elementIds.slice(1).map(elementId => ({ elementId, previous: id })));
+      return res.json({
+        message: `Se renumerarían ${changes.length} nodos de ${label}.`,
+        renumbered: changes.length,
+        changes
+      });
+    }
+
+    const changes = await session.executeWrite(tx => renumberDuplicates(tx, label));
+    await ensureIdConstraint(label);
+    res.json({ message: `Se renumeraron ${changes.length} nodos de ${label}.`, renumbered: changes.length, changes });
+  } catch (error) {
+    console.error("Error al renumerar ids repetidos:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { driver } = require('../db');
+const { notDeleted } = require('../lib/softDelete');
+const { parseTrendWindow, parseTrendSort, trendingCategories } = require('../lib/trends');
+const { parseOffsetPaging } = require('../lib/recommendations');
+const { getCentrality, describeCache, parseMetric, rankBy } = require('../lib/centrality');
 
 /**
  * 1️⃣ Influential Users (Usuarios Influyentes)
@@ -43,7 +47,8 @@ router.get('/influential-users', async (req, res) => {
   const session = driver.session();
   try {
     const query = `
-      MATCH (u:Usuario)<-[:SIGUE_A]-(other)
+      MATCH (u:Usuario)<-[s:SIGUE_A]-(other)
+      WHERE ${notDeleted('u', 's', 'other')}
       RETURN u.nombre AS Usuario, COUNT(other) AS Influencia
       ORDER BY Influencia DESC
       LIMIT 10
@@ -112,7 +117,8 @@ router.get('/personalized-recommendations/:userId', async (req, res) => {
   const userId = parseInt(req.params.userId, 10);
   try {
     const query = `
-      MATCH (u:Usuario {id: $userId})-[:TIENE_INTERÉS_EN]->(c:Categoría)<-[:RELACIONADO_CON]-(p:Publicación)
+      MATCH (u:Usuario {id: $userId})-[i:TIENE_INTERÉS_EN]->(c:Categoría)<-[rc:RELACIONADO_CON]-(p:Publicación)
+      WHERE ${notDeleted('u', 'i', 'c', 'rc', 'p')}
       RETURN p.título AS Publicación, COUNT(c) AS Relevancia
       ORDER BY Relevancia DESC
       LIMIT 5
@@ -132,16 +138,47 @@ router.get('/personalized-recommendations/:userId', async (req, res) => {
 
 /**
  * 1️⃣ Trending Categories
- * Retorna las 5 categorías con mayor cantidad de publicaciones recientes (después del 1/01/2024)
+ * Retorna las categorías con publicaciones en una ventana de tiempo (por defecto después del 1/01/2024),
+ * comparadas con la ventana anterior de la misma longitud.
  */
 /**
  * @swagger
  * /advanced/trending-categories:
  *   get:
- *     summary: Obtiene las 5 categorías con más publicaciones recientes
- *     description: Retorna las categorías con mayor número de publicaciones desde el 1 de enero de 2024.
+ *     summary: Obtiene las categorías en tendencia en una ventana de tiempo
+ *     description: |
+ *       Cuenta las publicaciones de cada categoría en la ventana [from, to] y en la ventana anterior de la misma cantidad de días.
+ *       Por defecto la ventana va desde el 2 de enero de 2024 hasta hoy y el orden es por crecimiento (las categorías que aceleran, no solo las más grandes).
  *     tags:
  *       - AdvancedQueries
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: Primer día de la ventana (YYYY-MM-DD).
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: Último día de la ventana (YYYY-MM-DD, por defecto hoy).
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: window
+ *         required: false
+ *         description: Longitud de la ventana, un número seguido de d, w, m o y (ej. 30d, 6m). Se combina con from o con to.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: Orden por crecimiento porcentual (growth, las nuevas entradas primero), por cantidad (count) o por diferencia absoluta con la ventana anterior (delta).
+ *         schema:
+ *           type: string
+ *           enum: [growth, count, delta]
  *     responses:
  *       200:
  *         description: Lista de las categorías en tendencia.
@@ -163,6 +200,24 @@ router.get('/personalized-recommendations/:userId', async (req, res) => {
  *                         type: integer
  *                         description: Número de publicaciones recientes en la categoría.
  *                         example: 25
+ *                       previousCount:
+ *                         type: integer
+ *                         description: Publicaciones de la categoría en la ventana anterior de la misma longitud.
+ *                         example: 80
+ *                       growth:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Crecimiento porcentual respecto de la ventana anterior (null si no tuvo publicaciones).
+ *                         example: 50
+ *                       newEntrant:
+ *                         type: boolean
+ *                         description: La categoría no tuvo publicaciones en la ventana anterior.
+ *                         example: false
+ *                 window:
+ *                   type: object
+ *                   example: { "from": "2024-01-02", "to": "2024-06-30", "days": 181, "previousFrom": "2023-07-05", "previousTo": "2024-01-01" }
+ *       400:
+ *         description: Parámetros de la ventana inválidos.
  *       500:
  *         description: Error en el servidor al ejecutar la consulta.
  */
@@ -170,21 +225,16 @@ router.get('/personalized-recommendations/:userId', async (req, res) => {
 router.get('/trending-categories', async (req, res) => {
     const session = driver.session();
     try {
-      const query = `
-        MATCH (p:Publicación)-[:RELACIONADO_CON]->(cat:Categoría)
-        WHERE p.fecha_publicación > date("2024-01-01")
-        RETURN cat.nombre AS Categoria, count(p) AS NumeroDePublicaciones
-        ORDER BY NumeroDePublicaciones DESC
-        LIMIT 10
-      `;
-      const result = await session.run(query);
-      const trends = result.records.map(record => ({
-        category: record.get('Categoria'),
-        publicationCount: record.get('NumeroDePublicaciones').low || record.get('NumeroDePublicaciones')
-      }));
-      res.json({ trendingCategories: trends });
+      const window = parseTrendWindow(req.query, { from: '2024-01-02' });
+      const trends = await trendingCategories(session, window, { sort: parseTrendSort(req.query), limit: 10 });
+      res.json({
+        window,
+        trendingCategories: trends.map(({ category, count, previousCount, growth, newEntrant }) => ({
+          category, publicationCount: count, previousCount, growth, newEntrant
+        }))
+      });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
     } finally {
       await session.close();
     }
@@ -240,8 +290,11 @@ router.get('/trending-categories', async (req, res) => {
     try {
       const query = `
         MATCH (p:Publicación)
+        WHERE ${notDeleted('p')}
         OPTIONAL MATCH (p)<-[c:COMENTA_EN]-()
+        WHERE ${notDeleted('c')}
         OPTIONAL MATCH (p)<-[r:REACCIONA_A]-()
+        WHERE ${notDeleted('r')}
         RETURN p.título AS Publicacion, count(DISTINCT c) AS Comentarios, count(DISTINCT r) AS Reacciones,
                (count(DISTINCT c) + count(DISTINCT r)) AS Engagement
         ORDER BY Engagement DESC
@@ -313,8 +366,9 @@ router.get('/trending-categories', async (req, res) => {
     const userId = parseInt(req.params.userId, 10);
     try {
       const query = `
-        MATCH (u:Usuario {id: $userId})-[:TIENE_INTERÉS_EN]->(cat:Categoría)
-        <-[:RELACIONADO_CON]-(p:Publicación)-[:PRESENTADA_EN]->(conf:Conferencia)
+        MATCH (u:Usuario {id: $userId})-[i:TIENE_INTERÉS_EN]->(cat:Categoría)
+        <-[rc:RELACIONADO_CON]-(p:Publicación)-[pe:PRESENTADA_EN]->(conf:Conferencia)
+        WHERE ${notDeleted('u', 'i', 'cat', 'rc', 'p', 'pe', 'conf')}
         RETURN conf, count(p) AS relevancia
         ORDER BY relevancia DESC
         LIMIT 10
@@ -380,9 +434,11 @@ router.get('/trending-categories', async (req, res) => {
     try {
       const query = `
         MATCH (n)
+        WHERE ${notDeleted('n')}
         RETURN 'Nodo' AS Tipo, labels(n)[0] AS Nombre, count(n) AS Cantidad
         UNION ALL
         MATCH ()-[r]->()
+        WHERE ${notDeleted('r')}
         RETURN 'Relación' AS Tipo, type(r) AS Nombre, count(r) AS Cantidad
       `;
       const result = await session.run(query);
@@ -401,4 +457,81 @@ router.get('/trending-categories', async (req, res) => {
   
   
 
+  /**
+   * 6️⃣ Influence Ranking
+   * Ranking de usuarios por PageRank, betweenness o closeness sobre el grafo SIGUE_A.
+   */
+  /**
+ * @swagger
+ * /advanced/influence-ranking:
+ *   get:
+ *     summary: Ranking de influencia por centralidad en el grafo de seguidores
+ *     description: |
+ *       Ordena a los usuarios por una métrica de centralidad calculada en la aplicación sobre las relaciones SIGUE_A
+ *       (la influencia fluye del seguido hacia sus seguidores):
+ *       pagerank (lo siguen usuarios influyentes), betweenness (intermedia los caminos mínimos entre otros usuarios)
+ *       y closeness (llega en pocos pasos a los usuarios que alcanza).
+ *       Las métricas se calculan la primera vez y quedan en caché; POST /admin/centrality/recompute las recalcula.
+ *     tags:
+ *       - AdvancedQueries
+ *     parameters:
+ *       - in: query
+ *         name: metric
+ *         required: false
+ *         description: Métrica del orden (por defecto pagerank).
+ *         schema:
+ *           type: string
+ *           enum: [pagerank, betweenness, closeness]
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Cantidad de usuarios (1 a 100, por defecto 10).
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         required: false
+ *         description: Cantidad de usuarios a saltar (por defecto 0).
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Página del ranking, con las tres métricas de cada usuario.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 metric:
+ *                   type: string
+ *                   example: "pagerank"
+ *                 ranking:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "rank": 1, "id": 2, "name": "Juan Pérez", "followers": 120, "pagerank": 0.0412, "betweenness": 0.083, "closeness": 0.61 }]
+ *                 cache:
+ *                   type: object
+ *                   example: { "computedAt": "2024-05-01T12:00:00.000Z", "durationMs": 340, "users": 1500, "edges": 9200 }
+ *       400:
+ *         description: Parámetros inválidos.
+ *       500:
+ *         description: Error en el servidor al calcular las métricas.
+ */
+
+  router.get('/influence-ranking', async (req, res) => {
+    const session = driver.session();
+    try {
+      const metric = parseMetric(req.query);
+      const paging = parseOffsetPaging(req.query);
+      const centrality = await getCentrality(session);
+      res.json({ metric, ranking: rankBy(centrality, metric, paging), cache: describeCache(centrality) });
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message });
+    } finally {
+      await session.close();
+    }
+  });
+  
+
 module.exports = router;
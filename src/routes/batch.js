@@ -0,0 +1,373 @@
+const express = require('express');
+const neo4j = require('neo4j-driver');
+const router = express.Router();
+const { driver } = require('../db');
+const httpError = require('../lib/httpError');
+const { toPlain } = require('../lib/values');
+const { sanitizeLabel, assertPropertyKeys, buildSet } = require('../lib/queryBuilder');
+const { ensureIdConstraint, nextSharedId, isConstraintError } = require('../lib/sequences');
+const { validateNode } = require('../lib/schemas');
+const { parseLabels } = require('../lib/labels');
+const { notDeleted } = require('../lib/softDelete');
+const { deleteWithPolicies } = require('../lib/deletePolicies');
+const { validateRelation } = require('../lib/relationRules');
+const { parseWriteMode, writeRelation } = require('../lib/relationships');
+const { withoutSystemFields, bumpVersion, lockForWrite } = require('../lib/versioning');
+const { stampCreated, callerOf } = require('../lib/timestamps');
+
+/**
+ * Lote transaccional de operaciones sobre nodos y relaciones.
+ * Las operaciones se ejecutan en orden dentro de una sola transacción: si una falla no se aplica ninguna.
+ * Un nodo creado con `ref` puede usarse en las operaciones siguientes como { "ref": "..." };
+ * los nodos existentes se indican con { "label": "...", "id": n }.
+ */
+
+const MAX_BATCH_OPERATIONS = 1000;
+
+// Versión esperada (equivalente a If-Match) de las operaciones que modifican un elemento existente
+function expectedVersion(operation) {
+  if (operation.version === undefined || operation.version === null) return null;
+  const version = Number(operation.version);
+  if (!Number.isInteger(version) || version < 0) {
+    throw httpError(400, "'version' debe ser un entero mayor o igual a 0.");
+  }
+  return [version];
+}
+
+// Encuentra un nodo activo indicado por { ref } o por { label, id }
+async function resolveNode(tx, reference, refs) {
+  let match;
+  let params;
+  let description;
+
+  if (reference && reference.ref !== undefined) {
+    const elementId = refs.get(String(reference.ref));
+    if (!elementId) {
+      throw httpError(400, `La referencia '${reference.ref}' no fue creada por una operación anterior del lote.`);
+    }
+    match = 'MATCH (n) WHERE elementId(n) = $elementId';
+    params = { elementId };
+    description = `el nodo de la referencia '${reference.ref}'`;
+  } else if (reference && reference.label && reference.id !== undefined) {
+    const label = sanitizeLabel(String(reference.label));
+    match = `MATCH (n:\`${label}\`) WHERE n.id = $id`;
+    params = { id: parseInt(reference.id, 10) };
+    description = `un nodo ${label} con id ${reference.id}`;
+  } else {
+    throw httpError(400, "Los nodos se indican con { \"ref\": ... } o con { \"label\": ..., \"id\": ... }.");
+  }
+
+  const result = await tx.run(`
+    ${match} AND ${notDeleted('n')}
+    RETURN elementId(n) AS elementId, labels(n) AS labels
+  `, params);
+  if (result.records.length === 0) {
+    throw httpError(404, `No existe ${description}.`);
+  }
+  return { elementId: result.records[0].get('elementId'), labels: result.records[0].get('labels') };
+}
+
+// Relación activa `type` entre dos nodos ya resueltos (alias r)
+function relationMatch(type) {
+  return `
+    MATCH (a)-[r:\`${sanitizeLabel(String(type || ''))}\`]->(b)
+    WHERE elementId(a) = $from AND elementId(b) = $to AND ${notDeleted('r')}
+  `;
+}
+
+const OPERATIONS = {
+  async createNode(tx, operation, { refs, createdBy }) {
+    const labels = parseLabels(operation.labels || operation.label);
+    const properties = withoutSystemFields(operation.properties || {});
+    assertPropertyKeys(Object.keys(properties));
+    const values = validateNode(labels, properties);
+
+    // El id queda libre en todos los labels, como en POST /nodes/create/:labels
+    const newId = await nextSharedId(tx, labels);
+    const result = await tx.run(`
+      CREATE (n${labels.map(label => `:\`${label}\``).join('')})
+      SET n = $properties
+      SET ${stampCreated('n')}
+      RETURN elementId(n) AS elementId, n
+    `, { properties: { ...values, id: neo4j.int(newId), version: neo4j.int(1) }, createdBy });
+
+    if (operation.ref !== undefined) refs.set(String(operation.ref), result.records[0].get('elementId'));
+    return { labels, node: result.records[0].get('n').properties };
+  },
+
+  async updateNode(tx, operation, { refs }) {
+    const node = await resolveNode(tx, operation.node, refs);
+    const properties = withoutSystemFields(operation.properties || {});
+    if (Object.keys(properties).length === 0) {
+      throw httpError(400, "Se requieren propiedades para actualizar el nodo.");
+    }
+    const set = buildSet('n', validateNode(node.labels, properties, { partial: true }));
+
+    const match = 'MATCH (n) WHERE elementId(n) = $elementId';
+    await lockForWrite(tx, { match, alias: 'n', params: { elementId: node.elementId }, expected: expectedVersion(operation) });
+    const result = await tx.run(
+      `${match} SET ${set.clause}, ${bumpVersion('n')} RETURN n`,
+      { elementId: node.elementId, ...set.params }
+    );
+    return { labels: node.labels, node: result.records[0].get('n').properties };
+  },
+
+  async deleteNode(tx, operation, { refs }) {
+    const node = await resolveNode(tx, operation.node, refs);
+    await lockForWrite(tx, {
+      match: 'MATCH (n) WHERE elementId(n) = $elementId',
+      alias: 'n',
+      params: { elementId: node.elementId },
+      expected: expectedVersion(operation)
+    });
+    const deleted = await deleteWithPolicies(tx, [node.elementId], { permanent: operation.soft !== true });
+    return { deleted };
+  },
+
+  async createRelation(tx, operation, { refs, createdBy }) {
+    const start = await resolveNode(tx, operation.from, refs);
+    const end = await resolveNode(tx, operation.to, refs);
+    const type = sanitizeLabel(String(operation.type || ''));
+
+    const properties = withoutSystemFields(operation.properties || {});
+    assertPropertyKeys(Object.keys(properties));
+    const options = { ...parseWriteMode({ mode: operation.mode, key: operation.key }), createdBy };
+
+    const written = await writeRelation(tx, type, {
+      from: start.elementId,
+      to: end.elementId,
+      fromLabels: start.labels,
+      toLabels: end.labels
+    }, properties, options);
+    return { type, created: written.created, relation: written.properties };
+  },
+
+  async updateRelation(tx, operation, { refs }) {
+    const start = await resolveNode(tx, operation.from, refs);
+    const end = await resolveNode(tx, operation.to, refs);
+    const type = sanitizeLabel(String(operation.type || ''));
+    const properties = withoutSystemFields(operation.properties || {});
+    if (Object.keys(properties).length === 0) {
+      throw httpError(400, "Se requieren propiedades para actualizar la relación.");
+    }
+    const set = buildSet('r', validateRelation(type, { properties }, { partial: true }));
+
+    const match = relationMatch(type);
+    const params = { from: start.elementId, to: end.elementId };
+    const version = await lockForWrite(tx, { match, alias: 'r', params, expected: expectedVersion(operation) });
+    if (version === null) {
+      throw httpError(404, `No existe una relación ${type} entre los nodos indicados.`);
+    }
+    const result = await tx.run(`${match} SET ${set.clause}, ${bumpVersion('r')} RETURN r`, { ...params, ...set.params });
+    return { type, relation: result.records[0].get('r').properties };
+  },
+
+  async deleteRelation(tx, operation, { refs }) {
+    const start = await resolveNode(tx, operation.from, refs);
+    const end = await resolveNode(tx, operation.to, refs);
+    const type = sanitizeLabel(String(operation.type || ''));
+
+    const match = relationMatch(type);
+    const params = { from: start.elementId, to: end.elementId };
+    const version = await lockForWrite(tx, { match, alias: 'r', params, expected: expectedVersion(operation) });
+    if (version === null) {
+      throw httpError(404, `No existe una relación ${type} entre los nodos indicados.`);
+    }
+    const result = await tx.run(`${match} DELETE r RETURN count(r) AS total`, params);
+    return { type, deleted: result.records[0].get('total').toNumber() };
+  }
+};
+
+// Error de la operación `index`, con su status (409 si es una violación de restricción) y el detalle de lo que falló
+function operationError(index, operation, error) {
+  return httpError(error.status || 409, `La operación ${index} (${operation.op}) falló; no se aplicó ningún cambio.`, {
+    index,
+    op: operation.op,
+    error: error.status ? error.message : "Ya existe un nodo con ese id.",
+    details: error.details
+  });
+}
+
+// Campos de cada operación que indican nodos ({ ref } o { label, id })
+const NODE_FIELDS = {
+  createNode: [],
+  updateNode: ['node'],
+  deleteNode: ['node'],
+  createRelation: ['from', 'to'],
+  updateRelation: ['from', 'to'],
+  deleteRelation: ['from', 'to']
+};
+const RELATION_OPERATIONS = ['createRelation', 'updateRelation', 'deleteRelation'];
+
+// Verifica la forma del lote antes de abrir la transacción
+function checkOperations(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw httpError(400, "Se requiere una lista de operaciones en 'operations'.");
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    throw httpError(400, `El lote admite como máximo ${MAX_BATCH_OPERATIONS} operaciones.`);
+  }
+
+  const errors = [];
+  const refs = new Set();
+  operations.forEach((operation, index) => {
+    if (!operation || typeof operation !== 'object' || !OPERATIONS[operation.op]) {
+      errors.push({ index, message: `'op' debe ser una de: ${Object.keys(OPERATIONS).join(', ')}` });
+      return;
+    }
+    if (operation.ref !== undefined) {
+      if (operation.op !== 'createNode') {
+        errors.push({ index, message: "solo createNode puede declarar 'ref'" });
+      } else if (refs.has(String(operation.ref))) {
+        errors.push({ index, message: `la referencia '${operation.ref}' ya fue declarada` });
+      }
+      refs.add(String(operation.ref));
+    }
+    NODE_FIELDS[operation.op].forEach(field => {
+      const reference = operation[field];
+      if (reference && reference.ref === undefined && reference.label !== undefined && !sanitizeLabel(String(reference.label))) {
+        errors.push({ index, message: `'${field}.label' debe ser un label válido` });
+      }
+    });
+    if (RELATION_OPERATIONS.includes(operation.op) && !sanitizeLabel(String(operation.type || ''))) {
+      errors.push({ index, message: "se requiere un tipo de relación válido en 'type'" });
+    }
+  });
+  if (errors.length > 0) {
+    throw httpError(400, "El lote contiene operaciones inválidas.", errors);
+  }
+}
+
+/**
+ * @swagger
+ * /batch:
+ *   post:
+ *     summary: Ejecuta un lote de operaciones sobre nodos y relaciones en una sola transacción
+ *     description: |
+ *       Las operaciones se ejecutan en orden y se confirman todas juntas; si una falla no se aplica ninguna y la respuesta indica cuál falló.
+ *       Operaciones: createNode (label o labels, properties, ref), updateNode (node, properties), deleteNode (node, soft),
+ *       createRelation (from, type, to, properties, mode, key), updateRelation (from, type, to, properties) y deleteRelation (from, type, to).
+ *       Los nodos se indican con { "label": "Usuario", "id": 7 } o, si se crearon antes en el mismo lote, con { "ref": "pub" }.
+ *       Las operaciones que modifican un elemento existente aceptan version, que se verifica como el header If-Match.
+ *       Se aplican las mismas validaciones que en las rutas individuales (esquemas, reglas de relaciones y políticas de eliminación).
+ *       Si una operación falla, details indica su índice (index), su tipo (op), el error y sus detalles.
+ *     tags:
+ *       - Batch
+ *     parameters:
+ *       - in: header
+ *         name: X-Usuario
+ *         required: false
+ *         description: Identificador de quien hace la solicitud; se guarda en createdBy de los elementos creados.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *             example:
+ *               operations:
+ *                 - { "op": "createNode", "ref": "pub", "label": "Publicación", "properties": { "título": "Grafos en la práctica", "fecha_publicación": "2024-05-01" } }
+ *                 - { "op": "createRelation", "from": { "label": "Usuario", "id": 7 }, "type": "PUBLICA", "to": { "ref": "pub" } }
+ *                 - { "op": "createRelation", "from": { "ref": "pub" }, "type": "RELACIONADO_CON", "to": { "label": "Categoría", "id": 2 } }
+ *                 - { "op": "createRelation", "from": { "ref": "pub" }, "type": "PRESENTADA_EN", "to": { "label": "Conferencia", "id": 3 } }
+ *     responses:
+ *       200:
+ *         description: Todas las operaciones se aplicaron.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "index": 0, "op": "createNode", "ref": "pub", "labels": ["Publicación"], "node": { "id": 58, "título": "Grafos en la práctica" } }]
+ *                 refs:
+ *                   type: object
+ *                   example: { "pub": { "labels": ["Publicación"], "id": 58 } }
+ *       400:
+ *         description: El lote o alguna operación es inválida; no se aplicó ningún cambio.
+ *       404:
+ *         description: Una operación indica un nodo o relación que no existe; no se aplicó ningún cambio.
+ *       409:
+ *         description: Conflicto de id o política restrict; no se aplicó ningún cambio.
+ *       412:
+ *         description: La versión de un elemento no coincide con la indicada; no se aplicó ningún cambio.
+ *       422:
+ *         description: Una operación no cumple el esquema o las reglas de relaciones; no se aplicó ningún cambio.
+ */
+router.post('/', async (req, res) => {
+  const session = driver.session();
+  const { operations } = req.body || {};
+
+  try {
+    checkOperations(operations);
+    const createdBy = callerOf(req);
+
+    // Las restricciones de unicidad no se pueden crear dentro de la transacción de escritura
+    for (const [index, operation] of operations.entries()) {
+      if (operation.op !== 'createNode') continue;
+      let labels;
+      try {
+        labels = parseLabels(operation.labels || operation.label);
+      } catch (error) {
+        if (!error.status) throw error;
+        // createNode vuelve a validar los labels y lo informa junto con su índice
+        continue;
+      }
+      try {
+        for (const label of labels) {
+          await ensureIdConstraint(label);
+        }
+      } catch (error) {
+        if (!error.status) throw error;
+        throw operationError(index, operation, error);
+      }
+    }
+
+    const { results, refs } = await session.executeWrite(async tx => {
+      const refs = new Map();
+      const results = [];
+
+      for (const [index, operation] of operations.entries()) {
+        try {
+          const result = await OPERATIONS[operation.op](tx, operation, { refs, createdBy });
+          results.push({ index, op: operation.op, ...(operation.ref !== undefined ? { ref: operation.ref } : {}), ...result });
+        } catch (error) {
+          if (!error.status && !isConstraintError(error)) throw error;
+          throw operationError(index, operation, error);
+        }
+      }
+
+      // Los refs se devuelven con el label y el id definitivo de cada nodo creado
+      const created = await tx.run(`
+        UNWIND $refs AS entry
+        MATCH (n) WHERE elementId(n) = entry.elementId
+        RETURN entry.ref AS ref, labels(n) AS labels, n.id AS id
+      `, { refs: [...refs].map(([ref, elementId]) => ({ ref, elementId })) });
+      return {
+        results,
+        refs: Object.fromEntries(created.records.map(record => [
+          record.get('ref'), { labels: record.get('labels'), id: record.get('id') }
+        ]))
+      };
+    });
+
+    res.json({ message: `Lote de ${results.length} operaciones aplicado.`, results: toPlain(results), refs: toPlain(refs) });
+  } catch (error) {
+    console.error("Error al ejecutar el lote:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const pdf = require('pdfkit');
 const fs = require('fs');
 const router = express.Router();
 const { driver } = require('../db');
+const { notDeleted } = require('../lib/softDelete');
+const { parseTrendWindow, parseTrendSort, trendingCategories } = require('../lib/trends');
+const { parseTimeSeries, publicationTimeSeries } = require('../lib/timeSeries');
 
 // 📌 Exportar usuarios en CSV
 /**
@@ -29,7 +32,7 @@ const { driver } = require('../db');
 router.get('/export/users/csv', async (req, res) => {
     const session = driver.session();
     try {
-        const result = await session.run(`MATCH (u:Usuario) RETURN u.nombre AS Nombre, u.rol AS Rol, u.universidad AS Universidad, u.reputación AS Reputación`);
+        const result = await session.run(`MATCH (u:Usuario) WHERE ${notDeleted('u')} RETURN u.nombre AS Nombre, u.rol AS Rol, u.universidad AS Universidad, u.reputación AS Reputación`);
         const users = result.records.map(record => record.toObject());
 
         const parser = new Parser();
@@ -69,7 +72,7 @@ router.get('/export/users/csv', async (req, res) => {
 router.get('/export/users/pdf', async (req, res) => {
     const session = driver.session();
     try {
-        const result = await session.run(`MATCH (u:Usuario) RETURN u.nombre AS Nombre, u.rol AS Rol, u.universidad AS Universidad, u.reputación AS Reputación`);
+        const result = await session.run(`MATCH (u:Usuario) WHERE ${notDeleted('u')} RETURN u.nombre AS Nombre, u.rol AS Rol, u.universidad AS Universidad, u.reputación AS Reputación`);
         const users = result.records.map(record => record.toObject());
 
         const doc = new pdf();
@@ -147,8 +150,11 @@ router.get('/ranking/publications', async (req, res) => {
     try {
         const query = `
         MATCH (p:Publicación)
-        OPTIONAL MATCH (p)<-[:REACCIONA_A]-(u:Usuario)
-        OPTIONAL MATCH (p)<-[:COMENTA_EN]-(c:Usuario)
+        WHERE ${notDeleted('p')}
+        OPTIONAL MATCH (p)<-[ra:REACCIONA_A]-(u:Usuario)
+        WHERE ${notDeleted('ra', 'u')}
+        OPTIONAL MATCH (p)<-[ce:COMENTA_EN]-(c:Usuario)
+        WHERE ${notDeleted('ce', 'c')}
         RETURN p.título AS Título, 
                p.citas AS Citas, 
                COUNT(u) AS Reacciones, 
@@ -174,10 +180,40 @@ router.get('/ranking/publications', async (req, res) => {
  * @swagger
  * /api/trends/research:
  *   get:
- *     summary: Obtiene las 5 categorías de investigación más populares en los últimos 6 meses
- *     description: Retorna las categorías con más publicaciones recientes en los últimos 6 meses.
+ *     summary: Obtiene las 5 categorías de investigación en tendencia en una ventana de tiempo
+ *     description: |
+ *       Cuenta las publicaciones de cada categoría en la ventana [from, to] (por defecto los últimos 6 meses)
+ *       y en la ventana anterior de la misma cantidad de días. Por defecto se ordena por crecimiento.
  *     tags:
  *       - ExportRankingTrends
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: Primer día de la ventana (YYYY-MM-DD).
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: Último día de la ventana (YYYY-MM-DD, por defecto hoy).
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: window
+ *         required: false
+ *         description: Longitud de la ventana, un número seguido de d, w, m o y (ej. 30d, 6m). Se combina con from o con to.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: Orden por crecimiento porcentual (growth, las nuevas entradas primero), por cantidad (count) o por diferencia absoluta con la ventana anterior (delta).
+ *         schema:
+ *           type: string
+ *           enum: [growth, count, delta]
  *     responses:
  *       200:
  *         description: Lista de las categorías de investigación con más publicaciones recientes.
@@ -197,8 +233,26 @@ router.get('/ranking/publications', async (req, res) => {
  *                         example: "Inteligencia Artificial"
  *                       PublicacionesRecientes:
  *                         type: integer
- *                         description: Número de publicaciones en esta categoría en los últimos 6 meses.
+ *                         description: Número de publicaciones en esta categoría en la ventana.
  *                         example: 120
+ *                       PublicacionesAnteriores:
+ *                         type: integer
+ *                         description: Publicaciones en la ventana anterior de la misma longitud.
+ *                         example: 80
+ *                       Crecimiento:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Crecimiento porcentual respecto de la ventana anterior (null si no tuvo publicaciones).
+ *                         example: 50
+ *                       NuevaEntrada:
+ *                         type: boolean
+ *                         description: La categoría no tuvo publicaciones en la ventana anterior.
+ *                         example: false
+ *                 window:
+ *                   type: object
+ *                   example: { "from": "2024-01-02", "to": "2024-06-30", "days": 181, "previousFrom": "2023-07-05", "previousTo": "2024-01-01" }
+ *       400:
+ *         description: Parámetros de la ventana inválidos.
  *       500:
  *         description: Error en el servidor al obtener las tendencias de investigación.
  */
@@ -206,21 +260,131 @@ router.get('/ranking/publications', async (req, res) => {
 router.get('/trends/research', async (req, res) => {
     const session = driver.session();
     try {
-        const query = `
-        MATCH (p:Publicación)-[:RELACIONADO_CON]->(c:Categoría)
-        WHERE p.fecha_publicación >= date() - duration({ months: 6 })  // Últimos 6 meses
-        RETURN c.nombre AS Categoría, 
-               COUNT(p) AS PublicacionesRecientes
-        ORDER BY PublicacionesRecientes DESC
-        LIMIT 5
-        `;
+        const window = parseTrendWindow(req.query, { window: '6m' });
+        const trends = await trendingCategories(session, window, { sort: parseTrendSort(req.query), limit: 5 });
 
-        const result = await session.run(query);
-        const trends = result.records.map(record => record.toObject());
+        res.json({
+            window,
+            trends: trends.map(({ category, count, previousCount, growth, newEntrant }) => ({
+                Categoría: category,
+                PublicacionesRecientes: count,
+                PublicacionesAnteriores: previousCount,
+                Crecimiento: growth,
+                NuevaEntrada: newEntrant
+            }))
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: 'Error obteniendo tendencias', details: error.message });
+    } finally {
+        await session.close();
+    }
+});
+
+// 📌 Serie de tiempo de publicaciones por categoría, conferencia o autor
+/**
+ * @swagger
+ * /api/trends/timeseries:
+ *   get:
+ *     summary: Obtiene la cantidad de publicaciones por intervalo para cada categoría, conferencia o autor
+ *     description: |
+ *       Agrupa las publicaciones por fecha_publicación en intervalos de un día, una semana (desde el lunes), un mes o un año.
+ *       Los intervalos sin publicaciones valen 0, así data queda alineado con labels y cada serie se usa directo como dataset de un gráfico.
+ *       Con engagement=true se agregan, para cada grupo, las series de comentarios y reacciones según la fecha de la interacción.
+ *     tags:
+ *       - ExportRankingTrends
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         required: false
+ *         description: Tamaño del intervalo (por defecto month).
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month, year]
+ *       - in: query
+ *         name: groupBy
+ *         required: false
+ *         description: Agrupación de las series (por defecto category).
+ *         schema:
+ *           type: string
+ *           enum: [category, conference, author]
+ *       - in: query
+ *         name: series
+ *         required: false
+ *         description: Cantidad de grupos, los de más publicaciones en la ventana (1 a 50, por defecto 10).
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: engagement
+ *         required: false
+ *         description: Si es true, agrega las series de comentarios y reacciones de cada grupo.
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: Primer día de la ventana (YYYY-MM-DD).
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: Último día de la ventana (YYYY-MM-DD, por defecto hoy).
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: window
+ *         required: false
+ *         description: Longitud de la ventana, un número seguido de d, w, m o y (por defecto 12m). Se combina con from o con to.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Intervalos y series alineadas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 interval:
+ *                   type: string
+ *                   example: "month"
+ *                 groupBy:
+ *                   type: string
+ *                   example: "category"
+ *                 from:
+ *                   type: string
+ *                   example: "2024-01-01"
+ *                 to:
+ *                   type: string
+ *                   example: "2024-04-30"
+ *                 labels:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["2024-01-01", "2024-02-01", "2024-03-01", "2024-04-01"]
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "group": { "id": 2, "name": "Inteligencia Artificial" }, "metric": "publications", "total": 9, "data": [3, 0, 4, 2] }]
+ *       400:
+ *         description: Parámetros inválidos o demasiados intervalos.
+ *       500:
+ *         description: Error en el servidor al calcular las series.
+ */
+
+router.get('/trends/timeseries', async (req, res) => {
+    const session = driver.session();
+    try {
+        const options = parseTimeSeries(req.query);
+        const { from, to } = parseTrendWindow(req.query, { window: '12m' });
+        const { labels, series } = await publicationTimeSeries(session, { from, to }, options);
 
-        res.json({ trends });
+        res.json({ interval: options.interval, groupBy: options.groupBy, from, to, labels, series });
     } catch (error) {
-        res.status(500).json({ error: 'Error obteniendo tendencias', details: error.message });
+        res.status(error.status || 500).json({ error: 'Error obteniendo series de tiempo', details: error.message });
     } finally {
         await session.close();
     }
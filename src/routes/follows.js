@@ -0,0 +1,572 @@
+const express = require('express');
+const neo4j = require('neo4j-driver');
+const router = express.Router();
+const { driver } = require('../db');
+const { assertUser } = require('../lib/users');
+const { parsePagination, buildPagination, buildPage } = require('../lib/pagination');
+const { notDeleted } = require('../lib/softDelete');
+const { toPlain } = require('../lib/values');
+const { writeRelation } = require('../lib/relationships');
+const { setETag } = require('../lib/versioning');
+const { callerOf } = require('../lib/timestamps');
+
+/**
+ * Seguidores de un usuario (relación SIGUE_A entre nodos Usuario).
+ * Los listados se paginan por cursor sobre los usuarios (limit, after, orderBy, direction y count),
+ * y cada usuario aparece una sola vez aunque existan relaciones SIGUE_A duplicadas.
+ */
+
+/**
+ * Página de usuarios (alias u) a partir de `base`, que termina en un WITH con u y las columnas extra.
+ * - sort: alias y desempate del orden; por defecto los propios usuarios (u, u.id)
+ * - order: orden fijo que reemplaza a orderBy/direction de la query
+ * Devuelve { users, nextCursor, total? } con cada elemento como { user, ...columnas }.
+ */
+async function pageOfUsers(session, { base, params, columns = [], query, sort = { alias: 'u', tiebreaker: 'u.id' }, order = {} }) {
+  const pagination = { ...parsePagination(query), ...order };
+  const page = buildPagination(sort.alias, pagination, { tiebreaker: sort.tiebreaker });
+
+  const result = await session.run(`
+    ${base}
+    ${page.condition ? `WHERE ${page.condition}` : ''}
+    RETURN properties(u) AS user${columns.map(column => `, ${column}`).join('')}, ${page.sortReturn}
+    ${page.orderClause}
+    ${page.limitClause}
+  `, { ...params, ...page.params });
+
+  const { items: users, nextCursor } = buildPage(result.records, pagination, record => toPlain(
+    Object.fromEntries(['user', ...columns].map(column => [column, record.get(column)]))
+  ));
+
+  const response = { users, nextCursor };
+  if (pagination.withCount) {
+    const countResult = await session.run(`${base} RETURN count(u) AS total`, params);
+    response.total = countResult.records[0].get('total').toNumber();
+  }
+  return response;
+}
+
+/**
+ * 1️⃣ Seguidores de un usuario
+ * GET /users/:id/followers
+ */
+
+/**
+ * @swagger
+ * /users/{id}/followers:
+ *   get:
+ *     summary: Lista los seguidores de un usuario
+ *     description: Usuarios que siguen al usuario, con la fecha desde la que lo siguen (since). Admite orderBy y direction sobre las propiedades de los usuarios.
+ *     tags:
+ *       - Follows
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Cantidad máxima de usuarios por página (1 a 1000, por defecto 100).
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor devuelto como nextCursor en la página anterior.
+ *       - in: query
+ *         name: count
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true se incluye el total de seguidores.
+ *     responses:
+ *       200:
+ *         description: Página de seguidores.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "user": { "id": 9, "nombre": "Luis Pérez" }, "since": "2024-02-10" }]
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *       404:
+ *         description: Usuario no encontrado.
+ *       500:
+ *         description: Error en el servidor al consultar los seguidores.
+ */
+router.get('/:id/followers', async (req, res) => {
+  const session = driver.session();
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    await assertUser(session, id);
+    const response = await pageOfUsers(session, {
+      base: `
+        MATCH (me:Usuario {id: $id})<-[s:SIGUE_A]-(u:Usuario)
+        WHERE ${notDeleted('s', 'u')}
+        WITH u, min(s.fecha) AS since
+      `,
+      params: { id },
+      columns: ['since'],
+      query: req.query
+    });
+    res.json(response);
+  } catch (error) {
+    console.error("Error al consultar seguidores:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 2️⃣ Usuarios que sigue un usuario
+ * GET /users/:id/following
+ */
+
+/**
+ * @swagger
+ * /users/{id}/following:
+ *   get:
+ *     summary: Lista los usuarios que sigue un usuario
+ *     description: Usuarios seguidos, con la fecha desde la que se siguen (since). Admite orderBy y direction sobre las propiedades de los usuarios.
+ *     tags:
+ *       - Follows
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: count
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Página de usuarios seguidos.
+ *       404:
+ *         description: Usuario no encontrado.
+ *       500:
+ *         description: Error en el servidor al consultar los usuarios seguidos.
+ */
+router.get('/:id/following', async (req, res) => {
+  const session = driver.session();
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    await assertUser(session, id);
+    const response = await pageOfUsers(session, {
+      base: `
+        MATCH (me:Usuario {id: $id})-[s:SIGUE_A]->(u:Usuario)
+        WHERE ${notDeleted('s', 'u')}
+        WITH u, min(s.fecha) AS since
+      `,
+      params: { id },
+      columns: ['since'],
+      query: req.query
+    });
+    res.json(response);
+  } catch (error) {
+    console.error("Error al consultar usuarios seguidos:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 3️⃣ Seguimientos mutuos
+ * GET /users/:id/mutuals
+ */
+
+/**
+ * @swagger
+ * /users/{id}/mutuals:
+ *   get:
+ *     summary: Lista los usuarios que se siguen mutuamente con un usuario
+ *     tags:
+ *       - Follows
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: count
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Página de seguimientos mutuos.
+ *       404:
+ *         description: Usuario no encontrado.
+ *       500:
+ *         description: Error en el servidor al consultar los seguimientos mutuos.
+ */
+router.get('/:id/mutuals', async (req, res) => {
+  const session = driver.session();
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    await assertUser(session, id);
+    const response = await pageOfUsers(session, {
+      base: `
+        MATCH (me:Usuario {id: $id})-[s1:SIGUE_A]->(u:Usuario)-[s2:SIGUE_A]->(me)
+        WHERE ${notDeleted('s1', 's2', 'u')}
+        WITH DISTINCT u
+      `,
+      params: { id },
+      query: req.query
+    });
+    res.json(response);
+  } catch (error) {
+    console.error("Error al consultar seguimientos mutuos:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 4️⃣ Usuarios seguidos por la gente que sigues
+ * GET /users/:id/followed-by-following
+ * Sugerencias de a quién seguir: usuarios que todavía no sigue, ordenados por cuántos de sus seguidos los siguen.
+ */
+
+/**
+ * @swagger
+ * /users/{id}/followed-by-following:
+ *   get:
+ *     summary: Lista los usuarios seguidos por la gente que sigue un usuario
+ *     description: Usuarios que el usuario todavía no sigue, ordenados por cuántos de sus seguidos los siguen (via). through muestra hasta 3 de esos seguidos.
+ *     tags:
+ *       - Follows
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: count
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Página de usuarios sugeridos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "user": { "id": 12, "nombre": "Marta Ruiz" }, "via": 3, "through": [{ "id": 9, "nombre": "Luis Pérez" }] }]
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       404:
+ *         description: Usuario no encontrado.
+ *       500:
+ *         description: Error en el servidor al consultar las sugerencias.
+ */
+router.get('/:id/followed-by-following', async (req, res) => {
+  const session = driver.session();
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    await assertUser(session, id);
+    const response = await pageOfUsers(session, {
+      base: `
+        MATCH (me:Usuario {id: $id})-[s1:SIGUE_A]->(f:Usuario)-[s2:SIGUE_A]->(u:Usuario)
+        WHERE ${notDeleted('s1', 'f', 's2', 'u')} AND u <> me
+          AND NOT EXISTS { MATCH (me)-[s:SIGUE_A]->(u) WHERE ${notDeleted('s')} }
+        WITH u, collect(DISTINCT f) AS followees
+        WITH u, size(followees) AS via, [f IN followees[..3] | f {.id, .nombre}] AS through,
+             {id: u.id, via: size(followees)} AS rank
+      `,
+      params: { id },
+      columns: ['via', 'through'],
+      query: req.query,
+      sort: { alias: 'rank', tiebreaker: 'rank.id' },
+      order: { orderBy: 'via', direction: 'desc' }
+    });
+    res.json(response);
+  } catch (error) {
+    console.error("Error al consultar sugerencias de seguimiento:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 5️⃣ Conteos de seguidores, seguidos y mutuos
+ * GET /users/:id/follow-counts
+ */
+
+/**
+ * @swagger
+ * /users/{id}/follow-counts:
+ *   get:
+ *     summary: Obtiene los conteos de seguidores, seguidos y seguimientos mutuos de un usuario
+ *     tags:
+ *       - Follows
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario.
+ *     responses:
+ *       200:
+ *         description: Conteos del usuario.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               example: { "followers": 120, "following": 85, "mutuals": 40 }
+ *       404:
+ *         description: Usuario no encontrado.
+ *       500:
+ *         description: Error en el servidor al calcular los conteos.
+ */
+router.get('/:id/follow-counts', async (req, res) => {
+  const session = driver.session();
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = await session.run(`
+      MATCH (me:Usuario {id: $id}) WHERE ${notDeleted('me')}
+      CALL {
+        WITH me
+        MATCH (me)<-[s:SIGUE_A]-(u:Usuario) WHERE ${notDeleted('s', 'u')}
+        RETURN count(DISTINCT u) AS followers
+      }
+      CALL {
+        WITH me
+        MATCH (me)-[s:SIGUE_A]->(u:Usuario) WHERE ${notDeleted('s', 'u')}
+        RETURN count(DISTINCT u) AS following
+      }
+      CALL {
+        WITH me
+        MATCH (me)-[s1:SIGUE_A]->(u:Usuario)-[s2:SIGUE_A]->(me) WHERE ${notDeleted('s1', 's2', 'u')}
+        RETURN count(DISTINCT u) AS mutuals
+      }
+      RETURN followers, following, mutuals
+    `, { id });
+
+    if (result.records.length === 0) {
+      return res.status(404).json({ error: "Usuario no encontrado." });
+    }
+
+    res.json(toPlain(result.records[0].toObject()));
+  } catch (error) {
+    console.error("Error al calcular conteos de seguimiento:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 6️⃣ Seguir a un usuario
+ * POST /users/:id/following/:targetId
+ * Es idempotente: si ya lo sigue no se crea otra relación SIGUE_A.
+ */
+
+/**
+ * @swagger
+ * /users/{id}/following/{targetId}:
+ *   post:
+ *     summary: El usuario empieza a seguir a otro usuario
+ *     description: Crea la relación SIGUE_A con la fecha de hoy. Si ya lo seguía responde 200 sin duplicar la relación.
+ *     tags:
+ *       - Follows
+ *     parameters:
+ *       - in: header
+ *         name: X-Usuario
+ *         required: false
+ *         description: Identificador de quien hace la solicitud; se guarda en createdBy.
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario que sigue.
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario a seguir.
+ *     responses:
+ *       200:
+ *         description: El usuario ya seguía al otro usuario.
+ *       201:
+ *         description: Seguimiento creado.
+ *       400:
+ *         description: Un usuario no puede seguirse a sí mismo.
+ *       404:
+ *         description: Alguno de los usuarios no existe.
+ *       500:
+ *         description: Error en el servidor al crear el seguimiento.
+ */
+router.post('/:id/following/:targetId', async (req, res) => {
+  const session = driver.session();
+  const id = parseInt(req.params.id, 10);
+  const targetId = parseInt(req.params.targetId, 10);
+
+  if (id === targetId) {
+    return res.status(400).json({ error: "Un usuario no puede seguirse a sí mismo." });
+  }
+
+  try {
+    const createdBy = callerOf(req);
+    const written = await session.executeWrite(async tx => {
+      const found = await tx.run(`
+        MATCH (a:Usuario {id: $id}), (b:Usuario {id: $targetId})
+        WHERE ${notDeleted('a', 'b')}
+        RETURN elementId(a) AS from, elementId(b) AS to, labels(a) AS fromLabels, labels(b) AS toLabels
+      `, { id, targetId });
+      if (found.records.length === 0) return null;
+
+      const today = neo4j.types.Date.fromStandardDate(new Date());
+      return writeRelation(tx, 'SIGUE_A', found.records[0].toObject(), {}, { upsert: true, defaults: { fecha: today }, createdBy });
+    });
+
+    if (!written) {
+      return res.status(404).json({ error: "Alguno de los usuarios no existe." });
+    }
+
+    setETag(res, written.properties);
+    res.status(written.created ? 201 : 200).json({
+      message: written.created ? `Usuario ${id} ahora sigue a ${targetId}.` : `Usuario ${id} ya seguía a ${targetId}.`,
+      created: written.created,
+      relation: toPlain(written.properties)
+    });
+  } catch (error) {
+    console.error("Error al seguir usuario:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 7️⃣ Dejar de seguir a un usuario
+ * DELETE /users/:id/following/:targetId
+ */
+
+/**
+ * @swagger
+ * /users/{id}/following/{targetId}:
+ *   delete:
+ *     summary: El usuario deja de seguir a otro usuario
+ *     description: Elimina la relación SIGUE_A (y sus duplicados, si los hubiera).
+ *     tags:
+ *       - Follows
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario que sigue.
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario que se deja de seguir.
+ *     responses:
+ *       200:
+ *         description: Seguimiento eliminado.
+ *       404:
+ *         description: El usuario no sigue al otro usuario.
+ *       500:
+ *         description: Error en el servidor al eliminar el seguimiento.
+ */
+router.delete('/:id/following/:targetId', async (req, res) => {
+  const session = driver.session();
+  const id = parseInt(req.params.id, 10);
+  const targetId = parseInt(req.params.targetId, 10);
+
+  try {
+    const result = await session.executeWrite(tx => tx.run(`
+      MATCH (a:Usuario {id: $id})-[s:SIGUE_A]->(b:Usuario {id: $targetId})
+      WHERE ${notDeleted('s')}
+      DELETE s
+      RETURN count(s) AS total
+    `, { id, targetId }));
+
+    if (result.records[0].get('total').toNumber() === 0) {
+      return res.status(404).json({ error: `Usuario ${id} no sigue a ${targetId}.` });
+    }
+
+    res.json({ message: `Usuario ${id} dejó de seguir a ${targetId}.` });
+  } catch (error) {
+    console.error("Error al dejar de seguir usuario:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,22 @@
 const express = require('express');
+const neo4j = require('neo4j-driver');
 const router = express.Router();
 const { driver } = require('../db');
+const { PAGINATION_KEYS, parsePagination, buildPagination, buildPage } = require('../lib/pagination');
+const { toPlain } = require('../lib/values');
+const { sanitizeLabel, assertPropertyKeys, propertyRef, buildSet, buildRemove, buildFilter, parseValue } = require('../lib/queryBuilder');
+const { ensureIdConstraint, nextId, nextSharedId, isConstraintError } = require('../lib/sequences');
+const { getSchema, validateNode, validateRemoval } = require('../lib/schemas');
+const { textBody, readImportRows, parseBatchSize } = require('../lib/importRows');
+const { notDeleted, restoreNode } = require('../lib/softDelete');
+const { planDeletion, deleteWithPolicies } = require('../lib/deletePolicies');
+const { parseLabels, changeLabels } = require('../lib/labels');
+const { parseNeighborhood, expandNeighborhood } = require('../lib/neighborhood');
+const { isDryRun, applySet, applyReplace, applyRemove, previewChanges, previewDetachedRelationships } = require('../lib/dryRun');
+const {
+  setETag, parseIfMatch, withoutSystemFields, rejectSystemFields, bumpVersion, replaceClause, lockForWrite
+} = require('../lib/versioning');
+const { CHANGE_FILTER_KEYS, stampCreated, callerOf, buildChangeFilter } = require('../lib/timestamps');
 
 
 /**
@@ -11,6 +27,12 @@ const { driver } = require('../db');
  *     tags:
  *       - Nodes
  *     parameters:
+ *       - in: header
+ *         name: X-Usuario
+ *         required: false
+ *         description: Identificador de quien hace la solicitud; se guarda en createdBy.
+ *         schema:
+ *           type: string
  *       - in: path
  *         name: label
  *         required: true
@@ -32,64 +54,59 @@ const { driver } = require('../db');
  *         description: Nodo creado exitosamente.
  *       400:
  *         description: Error en la solicitud.
+ *       409:
+ *         description: El id asignado ya existe (restricción de unicidad).
+ *       422:
+ *         description: Las propiedades no cumplen el esquema del label (se listan los errores por campo).
  */
 
 router.post('/:label', async (req, res) => {
     const session = driver.session();
-    const { label } = req.params; // Obtener el label desde la URL
-    const properties = req.body; // Propiedades desde el body
+    const label = sanitizeLabel(req.params.label); // Obtener el label desde la URL
+    const properties = withoutSystemFields(req.body || {}); // Propiedades desde el body (sin campos de sistema)
 
     if (!properties || Object.keys(properties).length === 0) {
         return res.status(400).json({ error: "Se requieren propiedades para el nodo." });
     }
 
     try {
-        // Obtener el ID más alto dentro de los nodos del mismo tipo
-        const getMaxIdQuery = `
-            MATCH (n:${label})
-            RETURN COALESCE(MAX(n.id), 0) AS maxId
-        `;
-        const result = await session.run(getMaxIdQuery);
-        const maxId = result.records.length > 0 ? result.records[0].get('maxId').low : 0;
-
-        // Incrementar el ID
-        const newId = maxId + 1;
-        properties.id = newId;
-
-        // Crear el nodo con el ID autoincremental
-        const createNodeQuery = `
-            CREATE (n:${label} $properties)
-            RETURN n
-        `;
-        const createResult = await session.run(createNodeQuery, { properties });
-        const node = createResult.records[0].get('n').properties;
-
-        res.status(201).json({ message: "Nodo creado exitosamente", node });
+        // Validar y convertir las propiedades según el esquema del label
+        assertPropertyKeys(Object.keys(properties));
+        const values = validateNode(label, properties);
+        const createdBy = callerOf(req);
+        await ensureIdConstraint(label);
+
+        // El id se reserva en la secuencia del label dentro de la misma transacción que el CREATE
+        const node = await session.executeWrite(async tx => {
+            const newId = await nextId(tx, label);
+            const createNodeQuery = `
+                CREATE (n:${label} $properties)
+                SET ${stampCreated('n')}
+                RETURN n
+            `;
+            const createResult = await tx.run(createNodeQuery, {
+                properties: { ...values, id: neo4j.int(newId), version: neo4j.int(1) },
+                createdBy
+            });
+            return createResult.records[0].get('n').properties;
+        });
+
+        setETag(res, node);
+        res.status(201).json({ message: "Nodo creado exitosamente", node: toPlain(node) });
     } catch (error) {
         console.error("Error al crear nodo:", error);
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        if (isConstraintError(error)) {
+            return res.status(409).json({ error: "Ya existe un nodo con ese id.", details: error.message });
+        }
         res.status(500).json({ error: "Error al crear nodo" });
     } finally {
         await session.close();
     }
 });
 
-// Función para sanitizar el label (solo letras, números y guión bajo)
-function sanitizeLabel(label) {
-    // Permite letras (incluyendo acentuadas), números y guión bajo
-    return label.replace(/[^\p{L}\p{N}_]/gu, '');
-  }
-
-  // Función para convertir valores de query a su tipo correcto
-function parseValue(val) {
-    if (typeof val !== 'string') return val;
-    const lower = val.toLowerCase();
-    if (lower === 'true') return true;
-    if (lower === 'false') return false;
-    if (!isNaN(val)) return Number(val);
-    return val;
-  }
-  
-
 
   /**
  * @swagger
@@ -99,6 +116,12 @@ function parseValue(val) {
  *     tags:
  *       - Nodes
  *     parameters:
+ *       - in: header
+ *         name: X-Usuario
+ *         required: false
+ *         description: Identificador de quien hace la solicitud; se guarda en createdBy.
+ *         schema:
+ *           type: string
  *       - in: path
  *         name: labels
  *         required: true
@@ -120,6 +143,10 @@ function parseValue(val) {
  *         description: Nodo creado exitosamente.
  *       400:
  *         description: Error en la solicitud.
+ *       409:
+ *         description: El id asignado ya existe (restricción de unicidad).
+ *       422:
+ *         description: Las propiedades no cumplen el esquema del label (se listan los errores por campo).
  */
   router.post('/create/:labels', async (req, res) => {
     const session = driver.session();
@@ -138,30 +165,41 @@ function parseValue(val) {
       }
       
       // Verificar las propiedades recibidas
-      const properties = req.body;
-      if (!properties || Object.keys(properties).length === 0) {
+      const properties = withoutSystemFields(req.body || {});
+      if (Object.keys(properties).length === 0) {
         return res.status(400).json({ error: "Se requieren propiedades para el nodo." });
       }
       
-      // Usar el primer label para obtener el id máximo
-      const primaryLabel = labelsArr[0];
-      const matchQuery = `MATCH (n:${primaryLabel}) RETURN COALESCE(MAX(n.id), 0) AS maxId`;
-      const result = await session.run(matchQuery);
-      const maxId = result.records.length > 0 
-        ? (result.records[0].get("maxId").toNumber ? result.records[0].get("maxId").toNumber() : result.records[0].get("maxId"))
-        : 0;
-      properties.id = maxId + 1;
+      // Validar contra el esquema combinado de todos los labels
+      assertPropertyKeys(Object.keys(properties));
+      const values = validateNode(labelsArr, properties);
+      const createdBy = callerOf(req);
+
+      // El id queda libre en todos los labels y sus secuencias avanzan juntas; todos quedan con restricción de unicidad
+      for (const label of labelsArr) {
+        await ensureIdConstraint(label);
+      }
       
       // Construir la cadena de labels: e.g. :Usuario:Investigador
       const labelsString = labelsArr.map(label => `:${label}`).join('');
-      const createQuery = `CREATE (n${labelsString} $props) RETURN n`;
+      const createQuery = `CREATE (n${labelsString} $props) SET ${stampCreated('n')} RETURN n`;
       
-      const createResult = await session.run(createQuery, { props: properties });
-      const node = createResult.records[0].get("n").properties;
+      const node = await session.executeWrite(async tx => {
+        const newId = await nextSharedId(tx, labelsArr);
+        const createResult = await tx.run(createQuery, { props: { ...values, id: neo4j.int(newId), version: neo4j.int(1) }, createdBy });
+        return createResult.records[0].get("n").properties;
+      });
       
-      res.status(201).json({ message: "Nodo creado exitosamente", node });
+      setETag(res, node);
+      res.status(201).json({ message: "Nodo creado exitosamente", node: toPlain(node) });
     } catch (error) {
       console.error("Error al crear nodo:", error);
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, details: error.details });
+      }
+      if (isConstraintError(error)) {
+        return res.status(409).json({ error: "Ya existe un nodo con ese id en alguno de los labels.", details: error.message });
+      }
       res.status(500).json({ error: "Error al crear nodo", details: error.message });
     } finally {
       await session.close();
@@ -170,17 +208,277 @@ function parseValue(val) {
 
 
 
+ /**
+ * POST /nodes/bulk/:label
+ * Importación masiva de nodos desde un arreglo JSON, NDJSON o CSV.
+ * Los nodos se escriben en lotes con UNWIND, cada lote en su propia transacción,
+ * y se devuelve un reporte por fila: created, updated, skipped o failed.
+ */
+
+ /**
+ * @swagger
+ * /nodes/bulk/{label}:
+ *   post:
+ *     summary: Importa nodos de forma masiva desde JSON, NDJSON o CSV.
+ *     description: |
+ *       El formato se detecta por el Content-Type (application/json, application/x-ndjson, text/csv) o con el parámetro format.
+ *       Cada fila se valida contra el esquema del label. Los ids se asignan en bloque desde la secuencia del label.
+ *       Con mode=upsert y key=propiedad, las filas cuyo valor de key ya existe actualizan ese nodo en lugar de crear uno nuevo;
+ *       en mode=insert (por defecto) esas filas se omiten.
+ *     tags:
+ *       - Nodes
+ *     parameters:
+ *       - in: header
+ *         name: X-Usuario
+ *         required: false
+ *         description: Identificador de quien hace la solicitud; se guarda en createdBy.
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         description: Etiqueta de los nodos a importar.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mode
+ *         required: false
+ *         description: insert (por defecto) o upsert.
+ *         schema:
+ *           type: string
+ *           enum: [insert, upsert]
+ *       - in: query
+ *         name: key
+ *         required: false
+ *         description: Propiedad que identifica un nodo existente (obligatoria en modo upsert), por ejemplo email.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         description: Fuerza el formato de entrada.
+ *         schema:
+ *           type: string
+ *           enum: [json, ndjson, csv]
+ *       - in: query
+ *         name: batchSize
+ *         required: false
+ *         description: Filas por transacción (1 a 5000, por defecto 500).
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *             example: [{ "nombre": "Ana López", "email": "ana@uni.edu", "rol": "investigador" }]
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             example: "{\"nombre\": \"Ana López\", \"email\": \"ana@uni.edu\"}"
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "nombre,email,rol\nAna López,ana@uni.edu,investigador"
+ *     responses:
+ *       200:
+ *         description: Reporte de la importación.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   example: { "total": 3, "created": 1, "updated": 1, "skipped": 0, "failed": 1 }
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "row": 2, "status": "created", "id": 41 }, { "row": 3, "status": "failed", "reason": "Las propiedades del nodo no son válidas.", "details": [{ "field": "nombre", "message": "es obligatorio" }] }]
+ *       400:
+ *         description: Error en la solicitud (formato, modo o parámetros inválidos).
+ */
+router.post('/bulk/:label', textBody, async (req, res) => {
+    const session = driver.session();
+    const label = sanitizeLabel(req.params.label);
+    const mode = String(req.query.mode || 'insert').toLowerCase();
+    const key = req.query.key ? String(req.query.key) : null;
+
+    if (!label) {
+      return res.status(400).json({ error: "Se requiere un label válido." });
+    }
+    if (!['insert', 'upsert'].includes(mode)) {
+      return res.status(400).json({ error: "El parámetro 'mode' debe ser insert o upsert." });
+    }
+    if (mode === 'upsert' && !key) {
+      return res.status(400).json({ error: "El modo upsert requiere el parámetro 'key'." });
+    }
+
+    try {
+      const batchSize = parseBatchSize(req.query);
+      const createdBy = callerOf(req);
+      const { rows, failures } = readImportRows(req);
+      const schema = getSchema(label) || {};
+      const report = failures.map(failure => ({ ...failure, status: 'failed' }));
+
+      // Preparar cada fila: las celdas CSV sin tipo en el esquema se convierten como los query params
+      const pending = [];
+      const seenKeys = new Map();
+      rows.forEach(({ row, data, fromText }) => {
+        // Los campos de sistema no se importan; id solo se usa como clave de búsqueda
+        const props = withoutSystemFields(data);
+        if (key === 'id' && data.id !== undefined) props.id = data.id;
+        if (fromText) {
+          Object.keys(props).forEach(field => {
+            if (!schema[field]) props[field] = parseValue(props[field]);
+          });
+        }
+
+        try {
+          assertPropertyKeys(Object.keys(props));
+          const typed = validateNode(label, props, { partial: true });
+          if (key) {
+            if (typed[key] === undefined || typed[key] === null) {
+              report.push({ row, status: 'failed', reason: `La fila no tiene la propiedad clave '${key}'.` });
+              return;
+            }
+            const keyValue = String(toPlain(typed[key]));
+            if (seenKeys.has(keyValue)) {
+              report.push({ row, status: 'skipped', reason: `Clave '${keyValue}' repetida en la fila ${seenKeys.get(keyValue)}.` });
+              return;
+            }
+            seenKeys.set(keyValue, row);
+          }
+          pending.push({ row, props });
+        } catch (error) {
+          if (!error.status) throw error;
+          report.push({ row, status: 'failed', reason: error.message, details: toPlain(error.details) });
+        }
+      });
+
+      await ensureIdConstraint(label);
+
+      for (let i = 0; i < pending.length; i += batchSize) {
+        const batch = pending.slice(i, i + batchSize);
+        try {
+          const results = await session.executeWrite(tx => importNodeBatch(tx, label, batch, { mode, key, createdBy }));
+          report.push(...results);
+        } catch (error) {
+          console.error("Error al importar lote de nodos:", error);
+          const reason = isConstraintError(error) ? "Conflicto de id o clave duplicada en el lote." : error.message;
+          report.push(...batch.map(({ row }) => ({ row, status: 'failed', reason })));
+        }
+      }
+
+      report.sort((a, b) => a.row - b.row);
+      const summary = { total: report.length, created: 0, updated: 0, skipped: 0, failed: 0 };
+      report.forEach(entry => { summary[entry.status]++; });
+
+      res.json({ message: `Importación de ${label} finalizada.`, summary, rows: report });
+    } catch (error) {
+      console.error("Error en la importación masiva:", error);
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    } finally {
+      await session.close();
+    }
+  });
+
+  // Escribe un lote de filas dentro de la transacción `tx` y devuelve el reporte de esas filas
+  async function importNodeBatch(tx, label, batch, { mode, key, createdBy }) {
+    const results = [];
+    let toCreate = batch;
+    let toUpdate = [];
+
+    if (key) {
+      // Buscar los nodos existentes por la propiedad clave
+      const keyValues = batch.map(({ props }) => validateNode(label, props, { partial: true })[key]);
+      const existing = await tx.run(`
+        MATCH (n:${label})
+        WHERE n[$key] IN $keyValues AND ${notDeleted('n')}
+        RETURN n[$key] AS keyValue, n.id AS id
+      `, { key, keyValues });
+      const idsByKey = new Map(existing.records.map(record => [
+        String(toPlain(record.get('keyValue'))), record.get('id')
+      ]));
+
+      toCreate = [];
+      batch.forEach((entry, index) => {
+        const existingId = idsByKey.get(String(toPlain(keyValues[index])));
+        if (existingId === undefined) {
+          toCreate.push(entry);
+        } else if (mode === 'upsert') {
+          toUpdate.push({ ...entry, id: existingId });
+        } else {
+          results.push({ row: entry.row, status: 'skipped', id: toPlain(existingId), reason: `Ya existe un nodo con ${key} = ${toPlain(keyValues[index])}.` });
+        }
+      });
+    }
+
+    // Las filas nuevas se validan completas (obligatorios y valores por defecto); las actualizaciones, parcialmente
+    const creates = [];
+    toCreate.forEach(entry => {
+      try {
+        creates.push({ row: entry.row, props: validateNode(label, entry.props) });
+      } catch (error) {
+        if (!error.status) throw error;
+        results.push({ row: entry.row, status: 'failed', reason: error.message, details: toPlain(error.details) });
+      }
+    });
+    const updates = toUpdate.map(entry => ({
+      row: entry.row,
+      id: entry.id,
+      props: validateNode(label, entry.props, { partial: true })
+    }));
+
+    if (creates.length > 0) {
+      const firstId = await nextId(tx, label, creates.length);
+      creates.forEach((entry, index) => {
+        entry.props.id = neo4j.int(firstId + index);
+        entry.props.version = neo4j.int(1);
+      });
+      await tx.run(`
+        UNWIND $rows AS row
+        CREATE (n:${label})
+        SET n = row
+        SET ${stampCreated('n')}
+      `, { rows: creates.map(({ props }) => props), createdBy });
+      creates.forEach(({ row, props }) => results.push({ row, status: 'created', id: toPlain(props.id) }));
+    }
+
+    if (updates.length > 0) {
+      await tx.run(`
+        UNWIND $rows AS row
+        MATCH (n:${label} {id: row.id})
+        SET n += row.props, ${bumpVersion('n')}
+      `, { rows: updates.map(({ id, props }) => ({ id, props })) });
+      updates.forEach(({ row, id }) => results.push({ row, status: 'updated', id: toPlain(id) }));
+    }
+
+    return results;
+  }
+
  /**
  * GET /nodes/read/:label
  * Consultar muchos nodos de un label, con filtros opcionales a través de query parameters.
- * Ejemplo: GET /nodes/read/Usuario?activo=true&rol=estudiante
+ * Los resultados se paginan por cursor: limit, after, orderBy, direction, fields y count.
+ * Ejemplo: GET /nodes/read/Usuario?activo=true&rol=estudiante&orderBy=nombre&limit=20
  */
 
  /**
  * @swagger
  * /nodes/read/{label}:
  *   get:
- *     summary: Obtiene nodos de un tipo específico con filtros opcionales.
+ *     summary: Obtiene nodos de un tipo específico con filtros opcionales y paginación por cursor.
+ *     description: |
+ *       Cualquier otro parámetro de query se usa como filtro sobre las propiedades del nodo.
+ *       Además de la igualdad (rol=estudiante) se admiten operadores con la forma propiedad[operador]=valor:
+ *       eq, ne, gt, gte, lt, lte, between (dos valores separados por coma), in, nin (lista separada por comas),
+ *       contains, startsWith, endsWith (sin distinguir mayúsculas) y exists (true/false).
+ *       Ejemplo: reputación[gte]=50&fecha_publicación[between]=2024-01-01,2024-06-30
  *     tags:
  *       - Nodes
  *     parameters:
@@ -190,9 +488,77 @@ function parseValue(val) {
  *         description: Etiqueta del nodo a consultar.
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: createdSince
+ *         required: false
+ *         description: Solo nodos creados desde esta fecha o datetime ISO 8601 (createdAt).
+ *         schema:
+ *           type: string
+ *           example: "2024-05-01T00:00:00Z"
+ *       - in: query
+ *         name: updatedSince
+ *         required: false
+ *         description: Solo nodos modificados desde esta fecha o datetime ISO 8601 (updatedAt).
+ *         schema:
+ *           type: string
+ *           example: "2024-05-01"
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Cantidad máxima de nodos por página (1 a 1000). Si no se envía ni limit ni after se devuelven todos los nodos; con solo after se usan páginas de 100.
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         description: Cursor devuelto como nextCursor en la página anterior.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: orderBy
+ *         required: false
+ *         description: Propiedad por la cual ordenar (por defecto id).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: direction
+ *         required: false
+ *         description: Dirección del orden.
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         description: Propiedades a devolver separadas por comas (el id siempre se incluye).
+ *         schema:
+ *           type: string
+ *           example: "nombre,email"
+ *       - in: query
+ *         name: count
+ *         required: false
+ *         description: Si es true, incluye el total de nodos que cumplen los filtros.
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: Lista de nodos recuperados.
+ *         description: Página de nodos recuperados.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nodes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor para la siguiente página, null si no hay más resultados.
+ *                 total:
+ *                   type: integer
+ *                   description: Total de nodos (solo si count=true).
  *       400:
  *         description: Error en la solicitud.
  */
@@ -200,26 +566,56 @@ function parseValue(val) {
 router.get('/read/:label', async (req, res) => {
     const session = driver.session();
     const label = sanitizeLabel(req.params.label);
-    const filters = req.query;
   
     try {
-      let conditions = [];
-      let params = {};
-      
-      // Crear condiciones a partir de los filtros enviados en la query, convirtiendo los valores
-      Object.entries(filters).forEach(([key, value]) => {
-        conditions.push(`n.${key} = $${key}`);
-        params[key] = parseValue(value);
+      // Sin limit ni after se devuelven todos los nodos, como antes de la paginación
+      const pagination = parsePagination(req.query, { defaultOrderBy: 'id', defaultLimit: null });
+      // Crear condiciones a partir de los filtros enviados en la query (ej. reputación[gte]=50)
+      const filters = Object.fromEntries(
+        Object.entries(req.query).filter(([key]) => !PAGINATION_KEYS.includes(key) && !CHANGE_FILTER_KEYS.includes(key))
+      );
+      const { conditions, params } = buildFilter('n', filters, { fromQuery: true });
+      // createdSince / updatedSince devuelven solo los nodos creados o modificados desde esa fecha
+      const changes = buildChangeFilter('n', req.query);
+      conditions.push(...changes.conditions);
+      Object.assign(params, changes.params);
+      // Los nodos en la papelera no se muestran
+      conditions.unshift(notDeleted('n'));
+
+      const page = buildPagination('n', pagination, { tiebreaker: 'n.id' });
+      const where = 'WHERE ' + conditions.join(' AND ');
+      const pageConditions = page.condition ? [...conditions, page.condition] : conditions;
+      const pageWhere = 'WHERE ' + pageConditions.join(' AND ');
+
+      // Con fields se proyectan solo las propiedades pedidas (más el id)
+      const projection = pagination.fields
+        ? `[f IN $page_fields | [f, n[f]]] AS projected`
+        : 'properties(n) AS projected';
+
+      const query = `
+        MATCH (n:${label}) ${pageWhere}
+        RETURN n.id AS id, ${projection}, ${page.sortReturn}
+        ${page.orderClause}
+        ${page.limitClause}
+      `;
+      const result = await session.run(query, { ...params, ...page.params, page_fields: pagination.fields });
+      const { items: nodes, nextCursor } = buildPage(result.records, pagination, record => {
+        const projected = record.get('projected');
+        return toPlain(pagination.fields
+          ? { id: record.get('id'), ...Object.fromEntries(projected) }
+          : projected);
       });
+
+      const response = { nodes, nextCursor };
+      if (pagination.withCount) {
+        const countResult = await session.run(`MATCH (n:${label}) ${where} RETURN count(n) AS total`, params);
+        response.total = countResult.records[0].get('total').toNumber();
+      }
       
-      const query = `MATCH (n:${label}) ${conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : ''} RETURN n`;
-      const result = await session.run(query, params);
-      const nodes = result.records.map(record => record.get('n').properties);
-      
-      res.json({ nodes });
+      res.json(response);
     } catch (error) {
       console.error("Error al consultar nodos:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -252,7 +648,7 @@ router.get('/read/:label', async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Nodo recuperado exitosamente.
+ *         description: Nodo recuperado exitosamente. La versión del nodo se devuelve en el header ETag.
  *       404:
  *         description: Nodo no encontrado.
  */
@@ -262,18 +658,19 @@ router.get('/read/:label', async (req, res) => {
     const id = parseInt(req.params.id, 10);
     
     try {
-      const query = `MATCH (n:${label} {id: $id}) RETURN n`;
+      const query = `MATCH (n:${label} {id: $id}) WHERE ${notDeleted('n')} RETURN n`;
       const result = await session.run(query, { id });
       
       if (result.records.length === 0) {
         return res.status(404).json({ error: 'Nodo no encontrado' });
       }
       
-      const node = result.records[0].get('n').properties;
-      res.json({ node });
+      const properties = result.records[0].get('n').properties;
+      setETag(res, properties);
+      res.json({ node: toPlain(properties) });
     } catch (error) {
       console.error("Error al consultar nodo:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -323,19 +720,128 @@ router.get('/read/:label', async (req, res) => {
       let query;
       if (groupBy) {
         // Agrupar por la propiedad indicada
-        query = `MATCH (n:${label}) RETURN n.${groupBy} AS group, count(n) AS count`;
+        query = `MATCH (n:${label}) WHERE ${notDeleted('n')} RETURN ${propertyRef('n', groupBy)} AS group, count(n) AS count`;
       } else {
         // Solo contar los nodos
-        query = `MATCH (n:${label}) RETURN count(n) AS count`;
+        query = `MATCH (n:${label}) WHERE ${notDeleted('n')} RETURN count(n) AS count`;
       }
       
       const result = await session.run(query);
-      const data = result.records.map(record => record.toObject());
+      const data = result.records.map(record => toPlain(record.toObject()));
       
       res.json({ data });
     } catch (error) {
       console.error("Error al realizar consulta agregada:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    } finally {
+      await session.close();
+    }
+  });
+
+  /**
+   * GET /nodes/:label/:id/neighbors
+   * Vecindario de un nodo para la vista de grafo: recorre hasta `depth` saltos en la dirección indicada
+   * y devuelve nodos (con sus labels) y relaciones (con su tipo), en lugar de una ruta fija por recorrido.
+   * Ejemplo:
+   *   - GET /nodes/Usuario/7/neighbors?direction=out&types=SIGUE_A,PUBLICA&depth=2&limits=SIGUE_A:10
+   */
+
+/**
+ * @swagger
+ * /nodes/{label}/{id}/neighbors:
+ *   get:
+ *     summary: Expande el vecindario de un nodo.
+ *     description: Devuelve un grafo { nodes, edges }. Cada nodo se identifica por key (su elementId) e incluye sus labels, su id, la profundidad a la que se encontró y sus propiedades; cada relación incluye su tipo, source y target (keys de nodos) y sus propiedades. Los elementos en la papelera no se recorren.
+ *     tags:
+ *       - Nodes
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         description: Etiqueta del nodo inicial.
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del nodo inicial.
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: direction
+ *         required: false
+ *         description: Dirección de las relaciones a recorrer (por defecto both).
+ *         schema:
+ *           type: string
+ *           enum: [in, out, both]
+ *       - in: query
+ *         name: types
+ *         required: false
+ *         description: Tipos de relación a recorrer, separados por coma (todos si se omite).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: depth
+ *         required: false
+ *         description: Cantidad máxima de saltos (1 a 3, por defecto 1).
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Máximo de relaciones de cada tipo por nodo expandido (por defecto 25).
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limits
+ *         required: false
+ *         description: Límites por tipo que reemplazan a limit, ej. SIGUE_A:10,PUBLICA:5.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vecindario del nodo. truncated es true si se alcanzó el tope de nodos de la respuesta.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 root:
+ *                   type: string
+ *                 nodes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "key": "4:abc:7", "labels": ["Usuario"], "id": 7, "depth": 0, "properties": { "nombre": "Ana López" } }]
+ *                 edges:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "key": "5:abc:12", "type": "SIGUE_A", "source": "4:abc:7", "target": "4:abc:9", "properties": {} }]
+ *                 truncated:
+ *                   type: boolean
+ *       400:
+ *         description: direction, types, depth o límites inválidos.
+ *       404:
+ *         description: Nodo no encontrado.
+ */
+  router.get('/:label/:id/neighbors', async (req, res) => {
+    const session = driver.session();
+    const label = sanitizeLabel(req.params.label);
+    const id = parseInt(req.params.id, 10);
+
+    try {
+      const options = parseNeighborhood(req.query);
+      const graph = await expandNeighborhood(session, { label, id, ...options });
+
+      if (!graph) {
+        return res.status(404).json({ error: 'Nodo no encontrado' });
+      }
+
+      res.json(graph);
+    } catch (error) {
+      console.error("Error al expandir el vecindario:", error);
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -369,36 +875,54 @@ router.get('/read/:label', async (req, res) => {
  *         description: Propiedades a agregar al nodo.
  *         schema:
  *           type: object
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         description: ETag recibido al leer el nodo; si el nodo cambió desde entonces la escritura se rechaza con 412.
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Nodo actualizado exitosamente.
  *       404:
  *         description: Nodo no encontrado.
+ *       422:
+ *         description: Las propiedades no cumplen el esquema del label.
+ *       412:
+ *         description: La versión del nodo no coincide con If-Match.
  */
 router.patch('/update/:label/:id', async (req, res) => {
     const session = driver.session();
     const label = sanitizeLabel(req.params.label);
     const id = parseInt(req.params.id);
-    const properties = req.body;
+    const properties = withoutSystemFields(req.body || {});
   
-    if (!properties || Object.keys(properties).length === 0) {
+    if (Object.keys(properties).length === 0) {
       return res.status(400).json({ error: "Se requieren propiedades a agregar." });
     }
   
     try {
-      const setQuery = Object.keys(properties).map(key => `n.${key} = $${key}`).join(', ');
-      const query = `MATCH (n:${label} {id: $id}) SET ${setQuery} RETURN n`;
-      
-      const result = await session.run(query, { id, ...properties });
+      const expected = parseIfMatch(req);
+      const values = validateNode(label, properties, { partial: true });
+      const set = buildSet('n', values);
+      const match = `MATCH (n:${label} {id: $id}) WHERE ${notDeleted('n')}`;
+
+      const node = await session.executeWrite(async tx => {
+        const version = await lockForWrite(tx, { match, alias: 'n', params: { id }, expected });
+        if (version === null) return null;
+        const result = await tx.run(`${match} SET ${set.clause}, ${bumpVersion('n')} RETURN n`, { id, ...set.params });
+        return result.records[0].get('n').properties;
+      });
       
-      if (result.records.length === 0) {
+      if (!node) {
         return res.status(404).json({ error: "Nodo no encontrado." });
       }
   
-      res.json({ message: "Propiedades agregadas con éxito", node: result.records[0].get("n").properties });
+      setETag(res, node);
+      res.json({ message: "Propiedades agregadas con éxito", node: toPlain(node) });
     } catch (error) {
       console.error("Error al agregar propiedades:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -423,9 +947,15 @@ router.patch('/update/:label/:id', async (req, res) => {
  *       - in: body
  *         name: filter
  *         required: true
- *         description: Filtro de nodos a actualizar.
+ *         description: 'Filtro de nodos a actualizar. Admite la misma gramática de operadores que /nodes/read (ej. { "reputación": { "gte": 50 } }).'
  *         schema:
  *           type: object
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         description: Si es true no se escribe nada; se devuelve la cantidad de nodos afectados y una muestra con sus propiedades antes y después del cambio.
+ *         schema:
+ *           type: boolean
  *       - in: body
  *         name: properties
  *         required: true
@@ -434,14 +964,17 @@ router.patch('/update/:label/:id', async (req, res) => {
  *           type: object
  *     responses:
  *       200:
- *         description: Nodos actualizados exitosamente.
+ *         description: Nodos actualizados exitosamente (o vista previa con dryRun=true).
  *       400:
  *         description: Error en la solicitud.
+ *       422:
+ *         description: Las propiedades no cumplen el esquema del label.
  */
   router.patch('/update/:label', async (req, res) => {
     const session = driver.session();
     const label = sanitizeLabel(req.params.label);
-    const { filter, properties } = req.body;
+    const { filter } = req.body;
+    const properties = req.body.properties && withoutSystemFields(req.body.properties);
   
     if (!properties || Object.keys(properties).length === 0) {
       return res.status(400).json({ error: "Se requieren propiedades a agregar." });
@@ -451,18 +984,33 @@ router.patch('/update/:label/:id', async (req, res) => {
     }
   
     try {
-      const filterConditions = Object.keys(filter).map(key => `n.${key} = $${key}`).join(' AND ');
-      const setQuery = Object.keys(properties).map(key => `n.${key} = $${key}`).join(', ');
+      const values = validateNode(label, properties, { partial: true });
+      const { conditions, params: filterParams } = buildFilter('n', filter);
+      const filterConditions = [notDeleted('n'), ...conditions].join(' AND ');
+
+      if (isDryRun(req.query)) {
+        const preview = await previewChanges(session, {
+          match: `MATCH (n:${label})`,
+          where: filterConditions,
+          params: filterParams,
+          alias: 'n',
+          identity: 'n.id',
+          change: before => applySet(before, values)
+        });
+        return res.json(preview);
+      }
+
+      const set = buildSet('n', values);
   
-      const query = `MATCH (n:${label}) WHERE ${filterConditions} SET ${setQuery} RETURN count(n) AS updatedCount`;
+      const query = `MATCH (n:${label}) WHERE ${filterConditions} SET ${set.clause}, ${bumpVersion('n')} RETURN count(n) AS updatedCount`;
   
-      const result = await session.run(query, { ...filter, ...properties });
+      const result = await session.run(query, { ...set.params, ...filterParams });
       const updatedCount = result.records[0].get("updatedCount").low;
   
       res.json({ message: `Propiedades agregadas a ${updatedCount} nodos.` });
     } catch (error) {
       console.error("Error al agregar propiedades a múltiples nodos:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -495,36 +1043,55 @@ router.patch('/update/:label/:id', async (req, res) => {
  *         description: Propiedades a actualizar.
  *         schema:
  *           type: object
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         description: ETag recibido al leer el nodo; si el nodo cambió desde entonces la escritura se rechaza con 412.
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Nodo actualizado exitosamente.
  *       404:
  *         description: Nodo no encontrado.
+ *       422:
+ *         description: Las propiedades no cumplen el esquema del label.
+ *       412:
+ *         description: La versión del nodo no coincide con If-Match.
  */
   router.put('/update/:label/:id', async (req, res) => {
     const session = driver.session();
     const label = sanitizeLabel(req.params.label);
     const id = parseInt(req.params.id);
-    const properties = req.body;
+    const properties = withoutSystemFields(req.body || {});
   
-    if (!properties || Object.keys(properties).length === 0) {
+    if (Object.keys(properties).length === 0) {
       return res.status(400).json({ error: "Se requieren propiedades a actualizar." });
     }
   
     try {
-      const setQuery = Object.keys(properties).map(key => `n.${key} = $${key}`).join(', ');
-      const query = `MATCH (n:${label} {id: $id}) SET ${setQuery} RETURN n`;
-  
-      const result = await session.run(query, { id, ...properties });
+      const expected = parseIfMatch(req);
+      // PUT reemplaza el nodo completo, así que se valida como uno nuevo (obligatorios y valores por defecto)
+      assertPropertyKeys(Object.keys(properties));
+      const values = validateNode(label, properties);
+      const match = `MATCH (n:${label} {id: $id}) WHERE ${notDeleted('n')}`;
+
+      const node = await session.executeWrite(async tx => {
+        const version = await lockForWrite(tx, { match, alias: 'n', params: { id }, expected });
+        if (version === null) return null;
+        const result = await tx.run(`${match} ${replaceClause('n', 'properties')} RETURN n`, { id, properties: values });
+        return result.records[0].get('n').properties;
+      });
   
-      if (result.records.length === 0) {
+      if (!node) {
         return res.status(404).json({ error: "Nodo no encontrado." });
       }
   
-      res.json({ message: "Propiedades actualizadas con éxito", node: result.records[0].get("n").properties });
+      setETag(res, node);
+      res.json({ message: "Propiedades reemplazadas con éxito", node: toPlain(node) });
     } catch (error) {
       console.error("Error al actualizar propiedades:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -535,7 +1102,8 @@ router.patch('/update/:label/:id', async (req, res) => {
  * @swagger
  * /nodes/update/{label}:
  *   put:
- *     summary: Actualiza propiedades de múltiples nodos con filtros.
+ *     summary: Reemplaza las propiedades de múltiples nodos con filtros.
+ *     description: Cada nodo queda solo con las propiedades enviadas (validadas como un nodo nuevo); se conservan id, version y los campos de la papelera.
  *     tags:
  *       - Nodes
  *     parameters:
@@ -548,26 +1116,35 @@ router.patch('/update/:label/:id', async (req, res) => {
  *       - in: body
  *         name: filter
  *         required: true
- *         description: Filtro de nodos a actualizar.
+ *         description: 'Filtro de nodos a actualizar. Admite la misma gramática de operadores que /nodes/read (ej. { "reputación": { "gte": 50 } }).'
  *         schema:
  *           type: object
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         description: Si es true no se escribe nada; se devuelve la cantidad de nodos afectados y una muestra con sus propiedades antes y después del cambio.
+ *         schema:
+ *           type: boolean
  *       - in: body
  *         name: properties
  *         required: true
- *         description: Propiedades a actualizar en los nodos.
+ *         description: Propiedades que reemplazan a las actuales en los nodos.
  *         schema:
  *           type: object
  *     responses:
  *       200:
- *         description: Nodos actualizados exitosamente.
+ *         description: Nodos actualizados exitosamente (o vista previa con dryRun=true).
  *       400:
  *         description: Error en la solicitud.
+ *       422:
+ *         description: Las propiedades no cumplen el esquema del label.
  */
 
   router.put('/update/:label', async (req, res) => {
     const session = driver.session();
     const label = sanitizeLabel(req.params.label);
-    const { filter, properties } = req.body;
+    const { filter } = req.body;
+    const properties = req.body.properties && withoutSystemFields(req.body.properties);
   
     if (!properties || Object.keys(properties).length === 0) {
       return res.status(400).json({ error: "Se requieren propiedades a actualizar." });
@@ -577,18 +1154,37 @@ router.patch('/update/:label/:id', async (req, res) => {
     }
   
     try {
-      const filterConditions = Object.keys(filter).map(key => `n.${key} = $${key}`).join(' AND ');
-      const setQuery = Object.keys(properties).map(key => `n.${key} = $${key}`).join(', ');
+      // PUT reemplaza las propiedades de cada nodo, así que se validan como un nodo nuevo
+      assertPropertyKeys(Object.keys(properties));
+      const values = validateNode(label, properties);
+      const { conditions, params: filterParams } = buildFilter('n', filter);
+      const filterConditions = [notDeleted('n'), ...conditions].join(' AND ');
+
+      if (isDryRun(req.query)) {
+        const preview = await previewChanges(session, {
+          match: `MATCH (n:${label})`,
+          where: filterConditions,
+          params: filterParams,
+          alias: 'n',
+          identity: 'n.id',
+          change: before => applyReplace(before, values)
+        });
+        return res.json(preview);
+      }
   
-      const query = `MATCH (n:${label}) WHERE ${filterConditions} SET ${setQuery} RETURN count(n) AS updatedCount`;
+      const query = `
+        MATCH (n:${label}) WHERE ${filterConditions}
+        ${replaceClause('n', 'properties')}
+        RETURN count(n) AS updatedCount
+      `;
   
-      const result = await session.run(query, { ...filter, ...properties });
+      const result = await session.run(query, { properties: values, ...filterParams });
       const updatedCount = result.records[0].get("updatedCount").low;
   
-      res.json({ message: `Propiedades actualizadas en ${updatedCount} nodos.` });
+      res.json({ message: `Propiedades reemplazadas en ${updatedCount} nodos.` });
     } catch (error) {
       console.error("Error al actualizar múltiples nodos:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -623,11 +1219,21 @@ router.patch('/update/:label/:id', async (req, res) => {
  *           type: array
  *           items:
  *             type: string
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         description: ETag recibido al leer el nodo; si el nodo cambió desde entonces la escritura se rechaza con 412.
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Propiedades eliminadas exitosamente.
  *       400:
  *         description: Error en la solicitud.
+ *       422:
+ *         description: Se intentó eliminar una propiedad obligatoria del esquema.
+ *       412:
+ *         description: La versión del nodo no coincide con If-Match.
  */
   router.delete('/properties/:label/:id', async (req, res) => {
     const session = driver.session();
@@ -640,15 +1246,28 @@ router.patch('/update/:label/:id', async (req, res) => {
     }
   
     try {
-      const removeQuery = properties.map(key => `REMOVE n.${key}`).join(' ');
-      const query = `MATCH (n:${label} {id: $id}) ${removeQuery} RETURN n`;
-  
-      await session.run(query, { id });
+      const expected = parseIfMatch(req);
+      const removeQuery = buildRemove('n', properties);
+      rejectSystemFields(properties);
+      validateRemoval(label, properties);
+      const match = `MATCH (n:${label} {id: $id}) WHERE ${notDeleted('n')}`;
+
+      const node = await session.executeWrite(async tx => {
+        const version = await lockForWrite(tx, { match, alias: 'n', params: { id }, expected });
+        if (version === null) return null;
+        const result = await tx.run(`${match} ${removeQuery} SET ${bumpVersion('n')} RETURN n`, { id });
+        return result.records[0].get('n').properties;
+      });
+
+      if (!node) {
+        return res.status(404).json({ error: "Nodo no encontrado." });
+      }
   
-      res.json({ message: `Propiedades eliminadas: ${properties.join(', ')}` });
+      setETag(res, node);
+      res.json({ message: `Propiedades eliminadas: ${properties.join(', ')}`, node: toPlain(node) });
     } catch (error) {
       console.error("Error al eliminar propiedades:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -672,9 +1291,15 @@ router.patch('/update/:label/:id', async (req, res) => {
  *       - in: body
  *         name: filter
  *         required: true
- *         description: Filtro de nodos a los cuales eliminar propiedades.
+ *         description: 'Filtro de nodos a los cuales eliminar propiedades. Admite operadores (ej. { "rol": { "in": ["estudiante", "investigador"] } }).'
  *         schema:
  *           type: object
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         description: Si es true no se escribe nada; se devuelve la cantidad de nodos afectados y una muestra con sus propiedades antes y después del cambio.
+ *         schema:
+ *           type: boolean
  *       - in: body
  *         name: properties
  *         required: true
@@ -685,9 +1310,11 @@ router.patch('/update/:label/:id', async (req, res) => {
  *             type: string
  *     responses:
  *       200:
- *         description: Propiedades eliminadas en múltiples nodos.
+ *         description: Propiedades eliminadas en múltiples nodos (o vista previa con dryRun=true).
  *       400:
  *         description: Error en la solicitud.
+ *       422:
+ *         description: Se intentó eliminar una propiedad obligatoria del esquema.
  */
 
   router.delete('/properties/:label', async (req, res) => {
@@ -703,30 +1330,411 @@ router.patch('/update/:label/:id', async (req, res) => {
     }
   
     try {
+      const removeQuery = buildRemove('n', properties);
+      rejectSystemFields(properties);
+      validateRemoval(label, properties);
+
       // Construcción de condiciones para el filtro
-      const filterConditions = Object.keys(filter).map(key => `n.${key} = $${key}`).join(' AND ');
-      
-      // Construcción de eliminación de propiedades
-      const removeQuery = properties.map(key => `REMOVE n.${key}`).join(' ');
-  
-      const query = `MATCH (n:${label}) WHERE ${filterConditions} ${removeQuery} RETURN count(n) AS updatedCount`;
+      const { conditions, params: filterParams } = buildFilter('n', filter);
+      const filterConditions = [notDeleted('n'), ...conditions].join(' AND ');
+
+      if (isDryRun(req.query)) {
+        const preview = await previewChanges(session, {
+          match: `MATCH (n:${label})`,
+          where: filterConditions,
+          params: filterParams,
+          alias: 'n',
+          identity: 'n.id',
+          change: before => applyRemove(before, properties)
+        });
+        return res.json(preview);
+      }
+
+      const query = `MATCH (n:${label}) WHERE ${filterConditions} ${removeQuery} SET ${bumpVersion('n')} RETURN count(n) AS updatedCount`;
   
-      const result = await session.run(query, { ...filter });
+      const result = await session.run(query, filterParams);
   
       const updatedCount = result.records[0].get("updatedCount").low;
       
       res.json({ message: `Propiedades eliminadas en ${updatedCount} nodos.` });
     } catch (error) {
       console.error("Error al eliminar propiedades de múltiples nodos:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
   });
 
+  /**
+   * 🏷️ Labels de nodos existentes
+   * POST   /nodes/:label/:id/labels -> agrega labels
+   * DELETE /nodes/:label/:id/labels -> quita labels
+   * PUT    /nodes/:label/:id/labels -> reemplaza todos los labels
+   * Las mismas operaciones sobre /nodes/:label/labels aplican a los nodos que cumplen un filtro.
+   * El nodo conserva su id y sus relaciones.
+   */
+
+  /**
+ * @swagger
+ * /nodes/{label}/{id}/labels:
+ *   post:
+ *     summary: Agrega labels a un nodo existente.
+ *     description: El nodo se valida contra el esquema de todos sus labels (se aplican los valores por defecto del label nuevo). Su id no puede repetirse en el label agregado.
+ *     tags:
+ *       - Nodes
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         description: Etiqueta actual del nodo.
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del nodo.
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         description: ETag recibido al leer el nodo; si el nodo cambió desde entonces se responde 412.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Investigador"]
+ *     responses:
+ *       200:
+ *         description: Labels agregados; se devuelven los labels finales y el nodo.
+ *       400:
+ *         description: No se indicaron labels válidos.
+ *       404:
+ *         description: Nodo no encontrado.
+ *       409:
+ *         description: Ya existe otro nodo con el mismo id en alguno de los labels agregados.
+ *       412:
+ *         description: La versión del nodo no coincide con If-Match.
+ *       422:
+ *         description: El nodo no cumple el esquema de sus nuevos labels.
+ *   delete:
+ *     summary: Quita labels de un nodo existente.
+ *     description: El nodo debe conservar al menos un label.
+ *     tags:
+ *       - Nodes
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         description: Etiqueta actual del nodo.
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del nodo.
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         description: ETag recibido al leer el nodo.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Destacada"]
+ *     responses:
+ *       200:
+ *         description: Labels eliminados.
+ *       404:
+ *         description: Nodo no encontrado.
+ *       412:
+ *         description: La versión del nodo no coincide con If-Match.
+ *       422:
+ *         description: El nodo se quedaría sin labels.
+ *   put:
+ *     summary: Reemplaza todos los labels de un nodo existente.
+ *     tags:
+ *       - Nodes
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         description: Etiqueta actual del nodo.
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del nodo.
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         description: ETag recibido al leer el nodo.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Usuario", "Investigador"]
+ *     responses:
+ *       200:
+ *         description: Labels reemplazados.
+ *       404:
+ *         description: Nodo no encontrado.
+ *       409:
+ *         description: Ya existe otro nodo con el mismo id en alguno de los labels nuevos.
+ *       412:
+ *         description: La versión del nodo no coincide con If-Match.
+ *       422:
+ *         description: El nodo no cumple el esquema de sus nuevos labels.
+ */
+  router.post('/:label/:id/labels', relabelNode('add'));
+  router.delete('/:label/:id/labels', relabelNode('remove'));
+  router.put('/:label/:id/labels', relabelNode('replace'));
+
+  /**
+ * @swagger
+ * /nodes/{label}/labels:
+ *   post:
+ *     summary: Agrega labels a los nodos que cumplen un filtro.
+ *     tags:
+ *       - Nodes
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         description: Etiqueta actual de los nodos.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               filter:
+ *                 type: object
+ *                 description: Filtro de nodos. Admite la misma gramática de operadores que /nodes/read.
+ *                 example: { "citas": { "gte": 100 } }
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Destacada"]
+ *     responses:
+ *       200:
+ *         description: Labels agregados; se devuelve el id y los labels finales de cada nodo.
+ *       400:
+ *         description: Falta el filtro o los labels.
+ *       404:
+ *         description: No se encontraron nodos con el filtro especificado.
+ *       409:
+ *         description: Algún nodo tiene un id que ya existe en el label agregado.
+ *       422:
+ *         description: Algún nodo no cumple el esquema de sus nuevos labels (no se modifica ninguno).
+ *   delete:
+ *     summary: Quita labels de los nodos que cumplen un filtro.
+ *     tags:
+ *       - Nodes
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         description: Etiqueta actual de los nodos.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               filter:
+ *                 type: object
+ *                 example: { "citas": { "lt": 100 } }
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Destacada"]
+ *     responses:
+ *       200:
+ *         description: Labels eliminados.
+ *       404:
+ *         description: No se encontraron nodos con el filtro especificado.
+ *       422:
+ *         description: Algún nodo se quedaría sin labels (no se modifica ninguno).
+ *   put:
+ *     summary: Reemplaza todos los labels de los nodos que cumplen un filtro.
+ *     tags:
+ *       - Nodes
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         description: Etiqueta actual de los nodos.
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               filter:
+ *                 type: object
+ *               labels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Labels reemplazados.
+ *       404:
+ *         description: No se encontraron nodos con el filtro especificado.
+ *       409:
+ *         description: Algún nodo tiene un id que ya existe en un label nuevo.
+ *       422:
+ *         description: Algún nodo no cumple el esquema de sus nuevos labels (no se modifica ninguno).
+ */
+  router.post('/:label/labels', relabelNodes('add'));
+  router.delete('/:label/labels', relabelNodes('remove'));
+  router.put('/:label/labels', relabelNodes('replace'));
+
+  const LABEL_MESSAGES = { add: 'agregados', remove: 'eliminados', replace: 'reemplazados' };
+
+  // Responde un error de cambio de labels (las violaciones de unicidad de id se reportan como 409)
+  function labelError(res, error) {
+    console.error("Error al cambiar labels:", error);
+    if (isConstraintError(error)) {
+      return res.status(409).json({ error: "Ya existe un nodo con ese id en alguno de los labels.", details: error.message });
+    }
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+
+  // Handler para cambiar los labels de un nodo por id
+  function relabelNode(mode) {
+    return async (req, res) => {
+      const session = driver.session();
+      const label = sanitizeLabel(req.params.label);
+      const id = parseInt(req.params.id);
+
+      try {
+        const labels = parseLabels(req.body.labels);
+        const expected = parseIfMatch(req);
+        if (mode !== 'remove') {
+          for (const newLabel of labels) await ensureIdConstraint(newLabel);
+        }
+        const match = `MATCH (n:${label} {id: $id}) WHERE ${notDeleted('n')}`;
+
+        const nodes = await session.executeWrite(async tx => {
+          const version = await lockForWrite(tx, { match, alias: 'n', params: { id }, expected });
+          if (version === null) return null;
+          const found = await tx.run(`${match} RETURN elementId(n) AS elementId`, { id });
+          return changeLabels(tx, found.records.map(record => record.get('elementId')), mode, labels);
+        });
+
+        if (!nodes) {
+          return res.status(404).json({ error: "Nodo no encontrado." });
+        }
+
+        const [node] = nodes;
+        setETag(res, node.properties);
+        res.json({
+          message: `Labels ${LABEL_MESSAGES[mode]} con éxito.`,
+          labels: node.labels,
+          added: node.added,
+          removed: node.removed,
+          node: toPlain(node.properties)
+        });
+      } catch (error) {
+        labelError(res, error);
+      } finally {
+        await session.close();
+      }
+    };
+  }
+
+  // Handler para cambiar los labels de los nodos que cumplen un filtro
+  function relabelNodes(mode) {
+    return async (req, res) => {
+      const session = driver.session();
+      const label = sanitizeLabel(req.params.label);
+      const { filter } = req.body;
+
+      if (!filter || Object.keys(filter).length === 0) {
+        return res.status(400).json({ error: "Se requiere al menos un filtro para cambiar los labels de múltiples nodos." });
+      }
+
+      try {
+        const labels = parseLabels(req.body.labels);
+        if (mode !== 'remove') {
+          for (const newLabel of labels) await ensureIdConstraint(newLabel);
+        }
+        const { conditions, params: filterParams } = buildFilter('n', filter);
+        const filterConditions = [notDeleted('n'), ...conditions].join(' AND ');
+
+        // Todos los nodos cambian en la misma transacción: si uno no es válido no se modifica ninguno
+        const nodes = await session.executeWrite(async tx => {
+          const found = await tx.run(`MATCH (n:${label}) WHERE ${filterConditions} RETURN elementId(n) AS elementId`, filterParams);
+          return changeLabels(tx, found.records.map(record => record.get('elementId')), mode, labels);
+        });
+
+        if (nodes.length === 0) {
+          return res.status(404).json({ error: "No se encontraron nodos con el filtro especificado." });
+        }
+
+        res.json({
+          message: `Labels ${LABEL_MESSAGES[mode]} en ${nodes.length} nodos.`,
+          updated: nodes.length,
+          nodes: nodes.map(node => ({ id: toPlain(node.properties.id), labels: node.labels }))
+        });
+      } catch (error) {
+        labelError(res, error);
+      } finally {
+        await session.close();
+      }
+    };
+  }
+
   /**
  * 1️⃣ Eliminar un nodo por ID
  * DELETE /nodes/:label/:id
+ * Por defecto el nodo y sus relaciones se eliminan definitivamente (DETACH DELETE); con ?soft=true pasan a la papelera.
+ * Se aplican las políticas de eliminación del label (ver lib/deletePolicies).
  */
 
   /**
@@ -734,6 +1742,7 @@ router.patch('/update/:label/:id', async (req, res) => {
  * /nodes/{label}/{id}:
  *   delete:
  *     summary: Elimina un nodo por su ID.
+ *     description: Por defecto se ejecuta DETACH DELETE y el nodo y sus relaciones se eliminan definitivamente. Con soft=true es una eliminación lógica (el nodo y sus relaciones quedan en la papelera y pueden restaurarse con POST /nodes/{label}/{id}/restore). Se aplica la política de eliminación del label (las políticas se consultan en GET /admin/schemas); restrict rechaza la eliminación mientras existan ciertas relaciones y cascade elimina también los nodos dependientes. La respuesta detalla los nodos (por label) y las relaciones (por tipo) eliminados.
  *     tags:
  *       - Nodes
  *     parameters:
@@ -749,35 +1758,72 @@ router.patch('/update/:label/:id', async (req, res) => {
  *         description: ID del nodo a eliminar.
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: soft
+ *         required: false
+ *         description: Si es true el nodo y sus relaciones pasan a la papelera en lugar de eliminarse definitivamente.
+ *         schema:
+ *           type: boolean
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         description: ETag recibido al leer el nodo; si el nodo cambió desde entonces la escritura se rechaza con 412.
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Nodo eliminado exitosamente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 deleted:
+ *                   type: object
+ *                   example: { "permanent": true, "deletionId": null, "nodes": 3, "byLabel": { "Usuario": 1, "Publicación": 2 }, "cascaded": [{ "labels": ["Publicación"], "id": 14, "via": "PUBLICA" }], "relationships": { "total": 9, "byType": { "PUBLICA": 2, "SIGUE_A": 7 } } }
  *       404:
  *         description: Nodo no encontrado.
+ *       409:
+ *         description: La política del label (restrict) impide eliminar el nodo; details lista las relaciones que lo impiden.
+ *       412:
+ *         description: La versión del nodo no coincide con If-Match.
  */
 
 router.delete('/:label/:id', async (req, res) => {
     const session = driver.session();
     const label = sanitizeLabel(req.params.label);
     const id = parseInt(req.params.id);
+    const permanent = String(req.query.soft).toLowerCase() !== 'true';
   
     try {
-      // Primero verificamos si el nodo existe
-      const checkQuery = `MATCH (n:${label} {id: $id}) RETURN n`;
-      const checkResult = await session.run(checkQuery, { id });
-  
-      if (checkResult.records.length === 0) {
+      const expected = parseIfMatch(req);
+      const match = `MATCH (n:${label} {id: $id}) WHERE ${notDeleted('n')}`;
+
+      const deleted = await session.executeWrite(async tx => {
+        // Se bloquea el nodo y se verifica If-Match antes de eliminarlo
+        const version = await lockForWrite(tx, { match, alias: 'n', params: { id }, expected });
+        if (version === null) return null;
+
+        // Políticas del label: restrict (409), cascade a los dependientes y detach del resto
+        const found = await tx.run(`${match} RETURN elementId(n) AS elementId`, { id });
+        return deleteWithPolicies(tx, found.records.map(record => record.get('elementId')), { permanent });
+      });
+
+      if (!deleted) {
         return res.status(404).json({ error: "Nodo no encontrado." });
       }
-  
-      // Eliminamos el nodo y sus relaciones
-      const deleteQuery = `MATCH (n:${label} {id: $id}) DETACH DELETE n`;
-      await session.run(deleteQuery, { id });
-  
-      res.json({ message: `Nodo con ID ${id} eliminado exitosamente.` });
+
+      res.json({
+        message: permanent
+          ? `Nodo con ID ${id} eliminado definitivamente.`
+          : `Nodo con ID ${id} enviado a la papelera.`,
+        deleted
+      });
     } catch (error) {
       console.error("Error al eliminar nodo:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -793,6 +1839,7 @@ router.delete('/:label/:id', async (req, res) => {
  * /nodes/{label}:
  *   delete:
  *     summary: Elimina múltiples nodos basados en un filtro.
+ *     description: Por defecto se ejecuta DETACH DELETE y los nodos y sus relaciones se eliminan definitivamente. Con soft=true pasan a la papelera y pueden restaurarse. Se aplica la política de eliminación del label, igual que al eliminar un nodo por ID.
  *     tags:
  *       - Nodes
  *     parameters:
@@ -802,17 +1849,31 @@ router.delete('/:label/:id', async (req, res) => {
  *         description: Etiqueta del nodo a eliminar.
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: soft
+ *         required: false
+ *         description: Si es true los nodos y sus relaciones pasan a la papelera en lugar de eliminarse definitivamente.
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         description: Si es true no se elimina nada; se devuelve la cantidad de nodos afectados, una muestra de ellos, los nodos dependientes que se eliminarían en cascada (cascaded), las relaciones que impedirían la eliminación (blocked) y las relaciones que se eliminarían con DETACH DELETE (o pasarían a la papelera), agrupadas por tipo.
+ *         schema:
+ *           type: boolean
  *       - in: body
  *         name: filter
  *         required: true
- *         description: Filtros para seleccionar los nodos a eliminar.
+ *         description: 'Filtros para seleccionar los nodos a eliminar. Admite operadores (ej. { "fecha_publicación": { "lt": "2020-01-01" } }).'
  *         schema:
  *           type: object
  *     responses:
  *       200:
- *         description: Nodos eliminados exitosamente.
+ *         description: Nodos eliminados exitosamente (o vista previa con dryRun=true, que incluye relationships { total, byType, sample }).
  *       404:
  *         description: No se encontraron nodos con el filtro especificado.
+ *       409:
+ *         description: La política del label (restrict) impide eliminar alguno de los nodos.
  *       400:
  *         description: Error en la solicitud.
  */
@@ -820,6 +1881,7 @@ router.delete('/:label/:id', async (req, res) => {
     const session = driver.session();
     const label = sanitizeLabel(req.params.label);
     const { filter } = req.body;
+    const permanent = String(req.query.soft).toLowerCase() !== 'true';
   
     if (!filter || Object.keys(filter).length === 0) {
       return res.status(400).json({ error: "Se requiere al menos un filtro para eliminar nodos." });
@@ -827,25 +1889,118 @@ router.delete('/:label/:id', async (req, res) => {
   
     try {
       // Construcción de condiciones para el filtro
-      const filterConditions = Object.keys(filter).map(key => `n.${key} = $${key}`).join(' AND ');
-  
-      // Verificamos cuántos nodos cumplen el filtro antes de eliminarlos
-      const countQuery = `MATCH (n:${label}) WHERE ${filterConditions} RETURN count(n) AS total`;
-      const countResult = await session.run(countQuery, filter);
-      const total = countResult.records[0].get("total").low;
-  
-      if (total === 0) {
+      const { conditions, params: filterParams } = buildFilter('n', filter);
+      const filterConditions = [notDeleted('n'), ...conditions].join(' AND ');
+
+      const matchQuery = `MATCH (n:${label}) WHERE ${filterConditions} RETURN elementId(n) AS elementId`;
+
+      if (isDryRun(req.query)) {
+        // Nodos dependientes (cascade), bloqueos (restrict) y relaciones que se eliminan o pasan a la papelera
+        const target = { match: `MATCH (n:${label})`, where: filterConditions, params: filterParams };
+        const preview = await previewChanges(session, { ...target, alias: 'n', identity: 'n.id', change: null });
+        const plan = await session.executeRead(async tx => {
+          const matchResult = await tx.run(matchQuery, filterParams);
+          return planDeletion(tx, matchResult.records.map(record => record.get('elementId')));
+        });
+        const relationships = await previewDetachedRelationships(session, {
+          match: 'MATCH (n)', where: 'elementId(n) IN $deleting', params: { deleting: plan.elementIds }
+        });
+        return res.json({
+          ...preview,
+          permanent,
+          nodes: plan.nodes,
+          byLabel: plan.byLabel,
+          cascaded: plan.cascaded,
+          blocked: plan.blocked,
+          relationships
+        });
+      }
+
+      const deleted = await session.executeWrite(async tx => {
+        const matchResult = await tx.run(matchQuery, filterParams);
+        const elementIds = matchResult.records.map(record => record.get('elementId'));
+        if (elementIds.length === 0) return null;
+        return deleteWithPolicies(tx, elementIds, { permanent });
+      });
+
+      if (!deleted) {
         return res.status(404).json({ error: "No se encontraron nodos con el filtro especificado." });
       }
-  
-      // Eliminamos los nodos y sus relaciones
-      const deleteQuery = `MATCH (n:${label}) WHERE ${filterConditions} DETACH DELETE n`;
-      await session.run(deleteQuery, filter);
-  
-      res.json({ message: `${total} nodos eliminados exitosamente.` });
+
+      res.json({
+        message: permanent
+          ? `${deleted.nodes} nodos eliminados definitivamente.`
+          : `${deleted.nodes} nodos enviados a la papelera.`,
+        deleted
+      });
     } catch (error) {
       console.error("Error al eliminar múltiples nodos:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
+    } finally {
+      await session.close();
+    }
+  });
+
+  /**
+   * 3️⃣ Restaurar un nodo desde la papelera
+   * POST /nodes/:label/:id/restore
+   */
+
+  /**
+ * @swagger
+ * /nodes/{label}/{id}/restore:
+ *   post:
+ *     summary: Restaura un nodo eliminado lógicamente.
+ *     description: Quita la marca de eliminado del nodo y de sus relaciones cuyo otro extremo esté activo.
+ *     tags:
+ *       - Nodes
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         description: Etiqueta del nodo.
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID del nodo a restaurar.
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Nodo restaurado exitosamente.
+ *       404:
+ *         description: No hay un nodo con ese ID en la papelera.
+ */
+  router.post('/:label/:id/restore', async (req, res) => {
+    const session = driver.session();
+    const label = sanitizeLabel(req.params.label);
+    const id = parseInt(req.params.id);
+
+    try {
+      const restored = await session.executeWrite(async tx => {
+        const found = await tx.run(
+          `MATCH (n:${label} {id: $id}) WHERE n.eliminado = true RETURN elementId(n) AS elementId`,
+          { id }
+        );
+        if (found.records.length === 0) return null;
+        return restoreNode(tx, found.records[0].get('elementId'));
+      });
+
+      if (!restored) {
+        return res.status(404).json({ error: "No hay un nodo con ese ID en la papelera." });
+      }
+
+      setETag(res, restored.node.properties);
+      res.json({
+        message: `Nodo con ID ${id} restaurado exitosamente.`,
+        node: toPlain(restored.node.properties),
+        restoredRelationships: restored.relationships
+      });
+    } catch (error) {
+      console.error("Error al restaurar nodo:", error);
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
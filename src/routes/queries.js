@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { driver } = require('../db');
+const { notDeleted } = require('../lib/softDelete');
+const { parseTrendWindow, parseTrendSort, trendingCategories } = require('../lib/trends');
 
 /**
  * 1️⃣ Recomendaciones de Publicaciones para un Usuario
@@ -55,7 +57,8 @@ router.get('/recommend-publications/:userId', async (req, res) => {
   const userId = parseInt(req.params.userId, 10);
   try {
     const query = `
-      MATCH (u:Usuario {id: $userId})-[:TIENE_INTERÉS_EN]->(cat:Categoría)<-[:RELACIONADO_CON]-(p:Publicación)
+      MATCH (u:Usuario {id: $userId})-[i:TIENE_INTERÉS_EN]->(cat:Categoría)<-[rc:RELACIONADO_CON]-(p:Publicación)
+      WHERE ${notDeleted('u', 'i', 'cat', 'rc', 'p')}
       RETURN p, cat
       ORDER BY p.impacto DESC
       LIMIT 5
@@ -126,8 +129,10 @@ router.get('/suggest-collaborators/:userId', async (req, res) => {
   const userId = parseInt(req.params.userId, 10);
   try {
     const query = `
-      MATCH (u:Usuario {id: $userId})-[:TIENE_INTERÉS_EN]->(cat:Categoría)<-[:TIENE_INTERÉS_EN]-(other:Usuario)
-      WHERE NOT (u)-[:SIGUE_A]->(other) AND u <> other
+      MATCH (u:Usuario {id: $userId})-[i1:TIENE_INTERÉS_EN]->(cat:Categoría)<-[i2:TIENE_INTERÉS_EN]-(other:Usuario)
+      WHERE ${notDeleted('u', 'i1', 'cat', 'i2', 'other')}
+        AND NOT EXISTS { MATCH (u)-[s:SIGUE_A]->(other) WHERE ${notDeleted('s')} }
+        AND u <> other
       RETURN other, count(cat) AS interesesComunes
       ORDER BY interesesComunes DESC
       LIMIT 5
@@ -148,16 +153,46 @@ router.get('/suggest-collaborators/:userId', async (req, res) => {
 /**
  * 3️⃣ Tendencias en Publicaciones por Categoría
  * GET /queries/trending-categories
- * Retorna las 5 categorías con mayor número de publicaciones a partir de una fecha determinada.
+ * Retorna las categorías con publicaciones en una ventana de tiempo, comparadas con la ventana anterior.
  */
 /**
  * @swagger
  * /queries/trending-categories:
  *   get:
- *     summary: Obtiene las 5 categorías con más publicaciones recientes
- *     description: Retorna las categorías con mayor número de publicaciones desde el 1 de enero de 2024.
+ *     summary: Obtiene las categorías en tendencia en una ventana de tiempo
+ *     description: |
+ *       Cuenta las publicaciones de cada categoría en la ventana [from, to] y en la ventana anterior de la misma cantidad de días.
+ *       Por defecto la ventana va desde el 2 de enero de 2024 hasta hoy y el orden es por crecimiento (las categorías que aceleran, no solo las más grandes).
  *     tags:
  *       - Queries
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         description: Primer día de la ventana (YYYY-MM-DD).
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         description: Último día de la ventana (YYYY-MM-DD, por defecto hoy).
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: window
+ *         required: false
+ *         description: Longitud de la ventana, un número seguido de d, w, m o y (ej. 30d, 6m). Se combina con from o con to.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: Orden por crecimiento porcentual (growth, las nuevas entradas primero), por cantidad (count) o por diferencia absoluta con la ventana anterior (delta).
+ *         schema:
+ *           type: string
+ *           enum: [growth, count, delta]
  *     responses:
  *       200:
  *         description: Lista de las categorías en tendencia.
@@ -179,6 +214,24 @@ router.get('/suggest-collaborators/:userId', async (req, res) => {
  *                         type: integer
  *                         description: Número de publicaciones recientes en la categoría.
  *                         example: 120
+ *                       previousCount:
+ *                         type: integer
+ *                         description: Publicaciones de la categoría en la ventana anterior de la misma longitud.
+ *                         example: 80
+ *                       growth:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Crecimiento porcentual respecto de la ventana anterior (null si no tuvo publicaciones).
+ *                         example: 50
+ *                       newEntrant:
+ *                         type: boolean
+ *                         description: La categoría no tuvo publicaciones en la ventana anterior.
+ *                         example: false
+ *                 window:
+ *                   type: object
+ *                   example: { "from": "2024-01-02", "to": "2024-06-30", "days": 181, "previousFrom": "2023-07-05", "previousTo": "2024-01-01" }
+ *       400:
+ *         description: Parámetros de la ventana inválidos.
  *       500:
  *         description: Error en el servidor al obtener las categorías en tendencia.
  */
@@ -186,21 +239,16 @@ router.get('/suggest-collaborators/:userId', async (req, res) => {
 router.get('/trending-categories', async (req, res) => {
   const session = driver.session();
   try {
-    const query = `
-      MATCH (p:Publicación)-[:RELACIONADO_CON]->(cat:Categoría)
-      WHERE p.fecha_publicación > date("2024-01-01")
-      RETURN cat.nombre AS Categoria, count(p) AS NumeroDePublicaciones
-      ORDER BY NumeroDePublicaciones DESC
-      LIMIT 10
-    `;
-    const result = await session.run(query);
-    const trends = result.records.map(record => ({
-      category: record.get('Categoria'),
-      publicationCount: record.get('NumeroDePublicaciones').low || record.get('NumeroDePublicaciones')
-    }));
-    res.json({ trends });
+    const window = parseTrendWindow(req.query, { from: '2024-01-02' });
+    const trends = await trendingCategories(session, window, { sort: parseTrendSort(req.query), limit: 10 });
+    res.json({
+      window,
+      trends: trends.map(({ category, count, previousCount, growth, newEntrant }) => ({
+        category, publicationCount: count, previousCount, growth, newEntrant
+      }))
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   } finally {
     await session.close();
   }
@@ -258,7 +306,8 @@ router.get('/suggest-conferences/:userId', async (req, res) => {
   const userId = parseInt(req.params.userId, 10);
   try {
     const query = `
-      MATCH (u:Usuario {id: $userId})-[:TIENE_INTERÉS_EN]->(cat:Categoría)<-[:RELACIONADO_CON]-(p:Publicación)-[:PRESENTADA_EN]->(conf:Conferencia)
+      MATCH (u:Usuario {id: $userId})-[i:TIENE_INTERÉS_EN]->(cat:Categoría)<-[rc:RELACIONADO_CON]-(p:Publicación)-[pe:PRESENTADA_EN]->(conf:Conferencia)
+      WHERE ${notDeleted('u', 'i', 'cat', 'rc', 'p', 'pe', 'conf')}
       RETURN conf, count(p) AS relevancia
       ORDER BY relevancia DESC
       LIMIT 5
@@ -319,7 +368,8 @@ router.get('/influential-users', async (req, res) => {
   const session = driver.session();
   try {
     const query = `
-      MATCH (u:Usuario)-[:PUBLICA]->(p:Publicación)
+      MATCH (u:Usuario)-[pu:PUBLICA]->(p:Publicación)
+      WHERE ${notDeleted('u', 'pu', 'p')}
       RETURN u.nombre AS Usuario, sum(p.impacto) AS ImpactoTotal
       ORDER BY ImpactoTotal DESC
       LIMIT 5
@@ -389,8 +439,11 @@ router.get('/publication-engagement', async (req, res) => {
   try {
     const query = `
       MATCH (p:Publicación)
+      WHERE ${notDeleted('p')}
       OPTIONAL MATCH (p)<-[c:COMENTA_EN]-()
+      WHERE ${notDeleted('c')}
       OPTIONAL MATCH (p)<-[r:REACCIONA_A]-()
+      WHERE ${notDeleted('r')}
       RETURN p.título AS Publicacion, count(DISTINCT c) AS Comentarios, count(DISTINCT r) AS Reacciones,
              (count(DISTINCT c) + count(DISTINCT r)) AS Engagement
       ORDER BY Engagement DESC
@@ -0,0 +1,332 @@
+const express = require('express');
+const router = express.Router();
+const { driver } = require('../db');
+const {
+  PUBLICATION_WEIGHTS, ENGAGEMENT_WEIGHTS, COLLABORATOR_WEIGHTS, parseOffsetPaging, parseHalfLife, parseWeights,
+  recommendPublications, recommendCollaborative, suggestCollaborators
+} = require('../lib/recommendations');
+
+/**
+ * Recomendaciones con puntaje explicado.
+ * A diferencia de /queries y /advanced, los resultados excluyen lo que el usuario ya vio,
+ * cada elemento trae el desglose de su puntaje y se paginan con limit y offset.
+ */
+
+/**
+ * 1️⃣ Publicaciones recomendadas
+ * GET /recommendations/publications/:userId
+ */
+
+/**
+ * @swagger
+ * /recommendations/publications/{userId}:
+ *   get:
+ *     summary: Recomienda publicaciones no vistas, con el desglose del puntaje
+ *     description: |
+ *       Candidatas: publicaciones de las categorías de interés del usuario que no publicó, ni comentó, ni a las que reaccionó.
+ *       El puntaje (0 a 1) suma cuatro componentes ponderados, que se devuelven en breakdown:
+ *       interests (0.4, fracción de sus categorías de interés que comparte la publicación),
+ *       recency (0.2, decaimiento exponencial por antigüedad de fecha_publicación),
+ *       impact (0.25, impacto relativo a la candidata de mayor impacto) y
+ *       engagement (0.15, comentarios + reacciones relativo a la candidata con más interacciones).
+ *     tags:
+ *       - Recommendations
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Cantidad de recomendaciones (1 a 100, por defecto 10).
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         required: false
+ *         description: Cantidad de recomendaciones a saltar (por defecto 0).
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: halfLifeDays
+ *         required: false
+ *         description: Días de antigüedad en que el componente de recencia vale la mitad (por defecto 180).
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Página de publicaciones recomendadas, de mayor a menor puntaje.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recommendations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       publication:
+ *                         type: object
+ *                         example: { "id": 12, "título": "Grafos en la práctica", "impacto": 80 }
+ *                       score:
+ *                         type: number
+ *                         example: 0.7125
+ *                       breakdown:
+ *                         type: object
+ *                         example: { "interests": 0.2667, "recency": 0.1683, "impact": 0.2, "engagement": 0.0775 }
+ *                       signals:
+ *                         type: object
+ *                         example: { "sharedCategories": ["Bases de Datos", "Grafos"], "ageDays": 45, "comments": 4, "reactions": 9 }
+ *                 total:
+ *                   type: integer
+ *                   description: Total de publicaciones candidatas.
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 weights:
+ *                   type: object
+ *       400:
+ *         description: Parámetros inválidos.
+ *       404:
+ *         description: Usuario no encontrado.
+ */
+router.get('/publications/:userId', async (req, res) => {
+  const session = driver.session();
+  const userId = parseInt(req.params.userId, 10);
+
+  try {
+    const { limit, offset } = parseOffsetPaging(req.query);
+    const halfLifeDays = parseHalfLife(req.query);
+
+    const page = await recommendPublications(session, userId, { limit, offset, halfLifeDays });
+    if (!page) {
+      return res.status(404).json({ error: "Usuario no encontrado." });
+    }
+
+    res.json({ ...page, limit, offset, weights: PUBLICATION_WEIGHTS });
+  } catch (error) {
+    console.error("Error al generar recomendaciones de publicaciones:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 2️⃣ Publicaciones recomendadas por filtrado colaborativo
+ * GET /recommendations/publications/:userId/collaborative
+ */
+
+/**
+ * @swagger
+ * /recommendations/publications/{userId}/collaborative:
+ *   get:
+ *     summary: Recomienda publicaciones según lo que interactuaron usuarios con interacciones parecidas
+ *     description: |
+ *       Quienes comentaron o reaccionaron a las mismas publicaciones que el usuario son sus pares;
+ *       se recomiendan las publicaciones con que interactuaron esos pares, ponderadas por cuánto se parecen al usuario.
+ *       Comentar pesa 2 y reaccionar 1. Se excluyen las publicaciones del usuario y aquellas con que ya interactuó.
+ *       Si el usuario todavía no tiene interacciones (o no hay candidatas), se responde con las recomendaciones
+ *       por categorías de interés de /recommendations/publications/{userId} y strategy = categories.
+ *     tags:
+ *       - Recommendations
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Cantidad de recomendaciones (1 a 100, por defecto 10).
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         required: false
+ *         description: Cantidad de recomendaciones a saltar (por defecto 0).
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: fallback
+ *         required: false
+ *         description: Si es false, no se recurre a las recomendaciones por categorías (por defecto true).
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: halfLifeDays
+ *         required: false
+ *         description: Recencia de las recomendaciones por categorías, cuando se usan como respaldo (por defecto 180).
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Página de publicaciones recomendadas, de mayor a menor puntaje.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 strategy:
+ *                   type: string
+ *                   enum: [collaborative, categories]
+ *                 recommendations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "publication": { "id": 31, "título": "Embeddings de grafos" }, "score": 1, "signals": { "peers": 3, "commentedBy": 2, "reactedBy": 3, "rawScore": 14 } }]
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       400:
+ *         description: Parámetros inválidos.
+ *       404:
+ *         description: Usuario no encontrado.
+ */
+router.get('/publications/:userId/collaborative', async (req, res) => {
+  const session = driver.session();
+  const userId = parseInt(req.params.userId, 10);
+
+  try {
+    const { limit, offset } = parseOffsetPaging(req.query);
+    const halfLifeDays = parseHalfLife(req.query);
+    const fallback = String(req.query.fallback).toLowerCase() !== 'false';
+
+    const page = await recommendCollaborative(session, userId, { limit, offset });
+    if (!page) {
+      return res.status(404).json({ error: "Usuario no encontrado." });
+    }
+
+    if (page.total === 0 && fallback) {
+      const byCategories = await recommendPublications(session, userId, { limit, offset, halfLifeDays });
+      return res.json({
+        strategy: 'categories',
+        reason: page.history === 0
+          ? "El usuario todavía no comentó ni reaccionó a publicaciones."
+          : "Los usuarios con interacciones parecidas no tienen publicaciones nuevas para recomendar.",
+        ...byCategories,
+        limit,
+        offset,
+        weights: PUBLICATION_WEIGHTS
+      });
+    }
+
+    res.json({
+      strategy: 'collaborative',
+      recommendations: page.recommendations,
+      total: page.total,
+      limit,
+      offset,
+      weights: ENGAGEMENT_WEIGHTS
+    });
+  } catch (error) {
+    console.error("Error al generar recomendaciones colaborativas:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 3️⃣ Sugerencias de colaboradores
+ * GET /recommendations/collaborators/:userId
+ */
+
+/**
+ * @swagger
+ * /recommendations/collaborators/{userId}:
+ *   get:
+ *     summary: Sugiere colaboradores con un puntaje ponderado y una explicación legible
+ *     description: |
+ *       Cada candidato suma cuatro señales multiplicadas por su peso:
+ *       interests (categorías de interés en común, peso 1), follows (personas que el usuario sigue y que siguen al candidato, peso 1.5),
+ *       conferences (conferencias donde ambos presentaron publicaciones, peso 2) y
+ *       engagement (publicaciones que ambos comentaron o a las que reaccionaron, peso 0.5).
+ *       Se excluyen los usuarios que ya sigue y sus coautores (quienes publicaron alguna publicación con él).
+ *     tags:
+ *       - Recommendations
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario.
+ *       - in: query
+ *         name: weights
+ *         required: false
+ *         description: Pesos a reemplazar con la forma señal:peso separados por coma.
+ *         schema:
+ *           type: string
+ *           example: "interests:2,follows:1,engagement:0"
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Cantidad de sugerencias (1 a 100, por defecto 10).
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         required: false
+ *         description: Cantidad de sugerencias a saltar (por defecto 0).
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Página de sugerencias, de mayor a menor puntaje.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "user": { "id": 9, "nombre": "Ana López", "universidad": "MIT" }, "score": 6, "explanation": "3 intereses en común, seguido por 2 personas que sigues", "signals": { "interests": 3, "follows": 2, "conferences": 0, "engagement": 0 }, "details": { "sharedInterests": ["Grafos", "IA", "Bases de Datos"], "followedBy": ["Luis", "Marta"], "sharedConferences": [] } }]
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 weights:
+ *                   type: object
+ *       400:
+ *         description: Parámetros inválidos.
+ *       404:
+ *         description: Usuario no encontrado.
+ */
+router.get('/collaborators/:userId', async (req, res) => {
+  const session = driver.session();
+  const userId = parseInt(req.params.userId, 10);
+
+  try {
+    const { limit, offset } = parseOffsetPaging(req.query);
+    const weights = parseWeights(req.query, COLLABORATOR_WEIGHTS);
+
+    const page = await suggestCollaborators(session, userId, { limit, offset, weights });
+    if (!page) {
+      return res.status(404).json({ error: "Usuario no encontrado." });
+    }
+
+    res.json({ ...page, limit, offset, weights });
+  } catch (error) {
+    console.error("Error al sugerir colaboradores:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,116 @@
 const express = require('express');
+const neo4j = require('neo4j-driver');
 const router = express.Router();
 const { driver } = require('../db');
+const { PAGINATION_KEYS, parsePagination, buildPagination, buildPage } = require('../lib/pagination');
+const { notDeleted } = require('../lib/softDelete');
+const { toPlain } = require('../lib/values');
+const { sanitizeLabel, assertPropertyKeys, buildSet, buildRemove, buildFilter, parseValue } = require('../lib/queryBuilder');
+const {
+  setETag, parseIfMatch, withoutSystemFields, rejectSystemFields, bumpVersion, replaceClause, lockForWrite
+} = require('../lib/versioning');
+const { CHANGE_FILTER_KEYS, callerOf, buildChangeFilter } = require('../lib/timestamps');
+const { isDryRun, applySet, applyReplace, applyRemove, previewChanges } = require('../lib/dryRun');
+const { RELATION_RULES, validateRelation, validateRelationRemoval } = require('../lib/relationRules');
+const {
+  parseWriteMode, writeRelation, parseEndpointSpec, endpointValue, resolveEndpoints
+} = require('../lib/relationships');
+const { textBody, readImportRows, parseBatchSize } = require('../lib/importRows');
 
-// Función para sanitizar labels y tipos de relaciones
-function sanitizeLabel(label) {
-  return label.replace(/[^\p{L}\p{N}_]/gu, '');
+// Resumen de un nodo extremo de una relación: labels, id y nombre (o título, para publicaciones)
+function endpointSummary(node) {
+  return `{labels: labels(${node}), id: ${node}.id, name: coalesce(${node}.nombre, ${node}.título)}`;
+}
+
+// Identifica una relación en las vistas previas (dryRun) por sus nodos de inicio y fin
+const RELATION_IDENTITY = `{from: ${endpointSummary('startNode(r)')}, to: ${endpointSummary('endNode(r)')}}`;
+
+// Columnas que devuelven las lecturas de relaciones (ver relationFromRecord)
+function relationResult(props = 'properties(r)') {
+  return `type(r) AS type, ${props} AS props, ${endpointSummary('startNode(r)')} AS from, ${endpointSummary('endNode(r)')} AS to`;
+}
+
+function relationFromRecord(record, fields = null) {
+  const props = record.get('props');
+  return toPlain({
+    type: record.get('type'),
+    properties: fields ? Object.fromEntries(props) : props,
+    from: record.get('from'),
+    to: record.get('to')
+  });
+}
+
+/**
+ * Lee una página de relaciones que encuentra `match` (alias r).
+ * Los parámetros de `query` que no son de paginación (ni `reservedKeys`) se usan como filtros sobre r,
+ * además de createdSince / updatedSince.
+ * Devuelve { relations, nextCursor, total? }.
+ */
+async function readRelations(session, { match, params = {}, query, reservedKeys = [] }) {
+  const pagination = parsePagination(query);
+  const filters = Object.fromEntries(
+    Object.entries(query).filter(([key]) => (
+      !PAGINATION_KEYS.includes(key) && !CHANGE_FILTER_KEYS.includes(key) && !reservedKeys.includes(key)
+    ))
+  );
+  const { conditions, params: filterParams } = buildFilter('r', filters, { fromQuery: true });
+  // createdSince / updatedSince devuelven solo las relaciones creadas o modificadas desde esa fecha
+  const changes = buildChangeFilter('r', query);
+  conditions.push(...changes.conditions);
+  Object.assign(filterParams, changes.params);
+  // Las relaciones en la papelera no se muestran (una relación activa siempre une nodos activos)
+  conditions.unshift(notDeleted('r'));
+
+  const page = buildPagination('r', pagination, { tiebreaker: 'elementId(r)' });
+  const pageConditions = page.condition ? [...conditions, page.condition] : conditions;
+
+  // Con fields se proyectan solo las propiedades pedidas de la relación
+  const projection = pagination.fields ? '[f IN $page_fields | [f, r[f]]]' : 'properties(r)';
+
+  const result = await session.run(`
+    ${match}
+    WHERE ${pageConditions.join(' AND ')}
+    RETURN ${relationResult(projection)}, ${page.sortReturn}
+    ${page.orderClause}
+    ${page.limitClause}
+  `, { ...params, ...filterParams, ...page.params, page_fields: pagination.fields });
+
+  const { items: relations, nextCursor } = buildPage(
+    result.records, pagination, record => relationFromRecord(record, pagination.fields)
+  );
+
+  const response = { relations, nextCursor };
+  if (pagination.withCount) {
+    const countResult = await session.run(
+      `${match} WHERE ${conditions.join(' AND ')} RETURN count(r) AS total`,
+      { ...params, ...filterParams }
+    );
+    response.total = countResult.records[0].get('total').toNumber();
+  }
+  return response;
+}
+
+// Relación activa de un tipo entre dos nodos identificados por label e id ($id1, $id2)
+function pairMatch(label1, relation, label2) {
+  return `MATCH (a:${label1} {id: $id1})-[r:${relation}]->(b:${label2} {id: $id2}) WHERE ${notDeleted('r')}`;
+}
+
+// Condiciones (incluida la exclusión de relaciones eliminadas) y parámetros del filtro de las rutas masivas
+function relationFilter(filter) {
+  const { conditions, params } = buildFilter('r', filter);
+  return { where: [notDeleted('r'), ...conditions].join(' AND '), params };
+}
+
+// Vista previa de una operación masiva sobre relaciones de un tipo
+function previewRelations(session, relation, where, params, change) {
+  return previewChanges(session, {
+    match: `MATCH ()-[r:${relation}]->()`,
+    where,
+    params,
+    alias: 'r',
+    identity: RELATION_IDENTITY,
+    change
+  });
 }
 
 /**
@@ -15,6 +121,12 @@ function sanitizeLabel(label) {
  *     tags:
  *       - Relations
  *     parameters:
+ *       - in: header
+ *         name: X-Usuario
+ *         required: false
+ *         description: Identificador de quien hace la solicitud; se guarda en createdBy.
+ *         schema:
+ *           type: string
  *       - in: path
  *         name: label1
  *         required: true
@@ -56,11 +168,30 @@ function sanitizeLabel(label) {
  *               type: string
  *               format: date
  *               example: "2024-03-01"
+ *       - in: query
+ *         name: mode
+ *         required: false
+ *         description: create (por defecto) siempre crea una relación nueva; upsert actualiza la relación del mismo tipo que ya une a los dos nodos, si existe.
+ *         schema:
+ *           type: string
+ *           enum: [create, upsert]
+ *       - in: query
+ *         name: key
+ *         required: false
+ *         description: Con mode=upsert, propiedad que también debe coincidir para considerar que la relación ya existe.
+ *         schema:
+ *           type: string
  *     responses:
+ *       200:
+ *         description: 'Con mode=upsert: la relación ya existía y se actualizaron sus propiedades (created es false).'
  *       201:
- *         description: Relación creada exitosamente.
+ *         description: Relación creada exitosamente (created es true).
  *       400:
  *         description: Datos inválidos en la solicitud.
+ *       404:
+ *         description: No se encontraron los nodos especificados.
+ *       422:
+ *         description: El tipo de relación no tiene reglas definidas o la relación no las cumple (labels de los extremos, propiedades obligatorias o cardinalidad). Las reglas se consultan en GET /admin/schemas.
  */
 router.post('/:label1/:id1/:relation/:label2/:id2', async (req, res) => {
   const session = driver.session();
@@ -69,29 +200,552 @@ router.post('/:label1/:id1/:relation/:label2/:id2', async (req, res) => {
   const relation = sanitizeLabel(req.params.relation);
   const id1 = parseInt(req.params.id1);
   const id2 = parseInt(req.params.id2);
-  const properties = req.body;
+  const properties = withoutSystemFields(req.body || {});
+
+  try {
+    assertPropertyKeys(Object.keys(properties));
+    const options = { ...parseWriteMode(req.query), createdBy: callerOf(req) };
+
+    const written = await session.executeWrite(async tx => {
+      const found = await tx.run(`
+        MATCH (a:${label1} {id: $id1}), (b:${label2} {id: $id2})
+        WHERE ${notDeleted('a', 'b')}
+        RETURN elementId(a) AS from, elementId(b) AS to, labels(a) AS fromLabels, labels(b) AS toLabels
+      `, { id1, id2 });
+      if (found.records.length === 0) return null;
+
+      // Labels de los extremos, propiedades y cardinalidad según las reglas del tipo
+      return writeRelation(tx, relation, found.records[0].toObject(), properties, options);
+    });
 
-  if (!properties || Object.keys(properties).length < 3) {
-    return res.status(400).json({ error: "Se requieren al menos 3 propiedades para la relación." });
+    if (!written) {
+      return res.status(404).json({ error: "No se pudieron encontrar los nodos especificados." });
+    }
+
+    setETag(res, written.properties);
+    res.status(written.created ? 201 : 200).json({
+      message: written.created ? "Relación creada exitosamente" : "Relación existente actualizada",
+      created: written.created,
+      relation: toPlain(written.properties),
+      duplicates: written.duplicates
+    });
+  } catch (error) {
+    console.error("Error al crear la relación:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
   }
+});
+
+/**
+ * 📥 Importación masiva de relaciones
+ * POST /relations/bulk?from=Usuario.email&to=Categoría.nombre&type=TIENE_INTERÉS_EN
+ * Cada fila trae el valor de la clave de cada extremo en las columnas from y to (y opcionalmente type);
+ * el resto de columnas son propiedades de la relación. Las filas se escriben en lotes, cada lote
+ * en su propia transacción, con las reglas del tipo y un reporte por fila.
+ */
+
+/**
+ * @swagger
+ * /relations/bulk:
+ *   post:
+ *     summary: Importa relaciones de forma masiva desde JSON, NDJSON o CSV.
+ *     description: |
+ *       Los extremos se referencian por id o por una clave natural: from=Usuario.email busca el nodo Usuario cuyo email es el valor de la columna from de cada fila.
+ *       Las columnas from, to y type están reservadas; las demás son propiedades de la relación.
+ *       Cada relación se valida con las reglas de su tipo. Con mode=upsert (y opcionalmente key) las relaciones existentes se actualizan en lugar de duplicarse.
+ *       El reporte indica por fila si se creó, se actualizó, no se encontró algún extremo (unresolved) o no cumple las reglas (failed).
+ *     tags:
+ *       - Relations
+ *     parameters:
+ *       - in: header
+ *         name: X-Usuario
+ *         required: false
+ *         description: Identificador de quien hace la solicitud; se guarda en createdBy.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         description: Label y propiedad clave de los nodos de inicio, ej. Usuario.email (Usuario equivale a Usuario.id).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         description: Label y propiedad clave de los nodos de fin, ej. Categoría.nombre.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         description: Tipo de relación de todas las filas (si se omite, cada fila debe traer la columna type).
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mode
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [create, upsert]
+ *       - in: query
+ *         name: key
+ *         required: false
+ *         description: Con mode=upsert, propiedad que también debe coincidir para considerar que la relación ya existe.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         description: Fuerza el formato de entrada.
+ *         schema:
+ *           type: string
+ *           enum: [json, ndjson, csv]
+ *       - in: query
+ *         name: batchSize
+ *         required: false
+ *         description: Filas por transacción (1 a 5000, por defecto 500).
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *             example: [{ "from": "ana@uni.edu", "to": "Bases de Datos", "nivel": 4 }]
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "from,to,nivel\nana@uni.edu,Bases de Datos,4"
+ *     responses:
+ *       200:
+ *         description: Reporte de la importación.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   example: { "total": 3, "created": 1, "updated": 0, "unresolved": 1, "failed": 1 }
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "row": 2, "status": "created" }, { "row": 3, "status": "unresolved", "reason": "No existe Usuario con email = luis@uni.edu.", "endpoints": ["from"] }, { "row": 4, "status": "failed", "reason": "La relación no cumple las reglas de TIENE_INTERÉS_EN.", "details": [{ "field": "nivel", "message": "debe ser menor o igual a 5" }] }]
+ *       400:
+ *         description: Error en la solicitud (formato, referencias de extremos o parámetros inválidos).
+ */
+router.post('/bulk', textBody, async (req, res) => {
+  const session = driver.session();
+  const defaultType = req.query.type ? sanitizeLabel(String(req.query.type)) : null;
 
   try {
-    const query = `
-      MATCH (a:${label1} {id: $id1}), (b:${label2} {id: $id2})
-      CREATE (a)-[r:${relation} $properties]->(b)
-      RETURN r
-    `;
+    const fromSpec = parseEndpointSpec('from', req.query.from);
+    const toSpec = parseEndpointSpec('to', req.query.to);
+    const options = { ...parseWriteMode(req.query), createdBy: callerOf(req) };
+    const batchSize = parseBatchSize(req.query);
+    const { rows, failures } = readImportRows(req);
+    const report = failures.map(failure => ({ ...failure, status: 'failed' }));
+
+    // Preparar cada fila: extremos, tipo y propiedades (las celdas CSV sin regla se convierten como los query params)
+    const pending = [];
+    rows.forEach(({ row, data, fromText }) => {
+      const { from, to, type: rowType, ...rest } = data;
+      const type = rowType ? sanitizeLabel(String(rowType)) : defaultType;
+      if (!type) {
+        report.push({ row, status: 'failed', reason: "La fila no indica el tipo de relación (columna type o parámetro type)." });
+        return;
+      }
+
+      const properties = withoutSystemFields(rest);
+      if (fromText) {
+        const declared = (RELATION_RULES[type] && RELATION_RULES[type].properties) || {};
+        Object.keys(properties).forEach(field => {
+          if (!declared[field]) properties[field] = parseValue(properties[field]);
+        });
+      }
+
+      try {
+        assertPropertyKeys(Object.keys(properties));
+        pending.push({
+          row,
+          type,
+          properties,
+          from: endpointValue(fromSpec, from, fromText),
+          to: endpointValue(toSpec, to, fromText)
+        });
+      } catch (error) {
+        if (!error.status) throw error;
+        report.push({ row, status: 'failed', reason: error.message, details: toPlain(error.details) });
+      }
+    });
 
-    const result = await session.run(query, { id1, id2, properties });
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
+      try {
+        const results = await session.executeWrite(tx => importRelationBatch(tx, batch, { fromSpec, toSpec, options }));
+        report.push(...results);
+      } catch (error) {
+        console.error("Error al importar lote de relaciones:", error);
+        report.push(...batch.map(({ row }) => ({ row, status: 'failed', reason: error.message })));
+      }
+    }
+
+    report.sort((a, b) => a.row - b.row);
+    const summary = { total: report.length, created: 0, updated: 0, unresolved: 0, failed: 0 };
+    report.forEach(entry => { summary[entry.status]++; });
+
+    res.json({ message: "Importación de relaciones finalizada.", summary, rows: report });
+  } catch (error) {
+    console.error("Error en la importación masiva de relaciones:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+// Resuelve los extremos de un lote, escribe sus relaciones dentro de `tx` y devuelve el reporte de esas filas
+async function importRelationBatch(tx, batch, { fromSpec, toSpec, options }) {
+  const lookup = async (spec, side) => resolveEndpoints(
+    tx, spec, batch.map(entry => entry[side]).filter(value => value !== null)
+  );
+  const fromNodes = await lookup(fromSpec, 'from');
+  const toNodes = await lookup(toSpec, 'to');
+
+  const results = [];
+  for (const entry of batch) {
+    const sides = [['from', fromSpec, fromNodes], ['to', toSpec, toNodes]].map(([side, spec, found]) => {
+      const value = entry[side];
+      const nodes = value === null ? [] : found.get(String(toPlain(value))) || [];
+      const reference = `${spec.label} con ${spec.key} = ${value === null ? '(vacío)' : toPlain(value)}`;
+      if (nodes.length === 0) return { side, reason: `No existe ${reference}.` };
+      if (nodes.length > 1) return { side, reason: `Hay ${nodes.length} nodos ${reference}; la clave debe ser única.` };
+      return { side, node: nodes[0] };
+    });
+
+    const unresolved = sides.filter(side => !side.node);
+    if (unresolved.length > 0) {
+      results.push({
+        row: entry.row,
+        status: 'unresolved',
+        reason: unresolved.map(side => side.reason).join(' '),
+        endpoints: unresolved.map(side => side.side)
+      });
+      continue;
+    }
+
+    const [start, end] = sides.map(side => side.node);
+    try {
+      // Las reglas se verifican antes de escribir, así un error de la fila no invalida la transacción del lote
+      const written = await writeRelation(tx, entry.type, {
+        from: start.elementId,
+        to: end.elementId,
+        fromLabels: start.labels,
+        toLabels: end.labels
+      }, entry.properties, options);
+      results.push({ row: entry.row, status: written.created ? 'created' : 'updated' });
+    } catch (error) {
+      if (!error.status) throw error;
+      results.push({ row: entry.row, status: 'failed', reason: error.message, details: toPlain(error.details) });
+    }
+  }
+  return results;
+}
+
+
+/**
+ * 🔎 Lectura de relaciones
+ * GET /relations/:relation                              -> todas las relaciones de un tipo (con filtros)
+ * GET /relations/:label/:id/:relation                   -> relaciones de un tipo que salen de (o llegan a) un nodo
+ * GET /relations/:label1/:id1/:relation/:label2/:id2    -> la relación entre dos nodos
+ * Cada resultado incluye las propiedades de la relación y un resumen de sus dos nodos.
+ */
+
+/**
+ * @swagger
+ * /relations/{relation}:
+ *   get:
+ *     summary: Lista las relaciones de un tipo
+ *     description: Filtra por propiedades de la relación con la misma gramática que /nodes/read (ej. ?fecha[gte]=2024-01-01) y pagina por cursor. Cada resultado incluye un resumen (labels, id, name) de los nodos de inicio y fin.
+ *     tags:
+ *       - Relations
+ *     parameters:
+ *       - in: query
+ *         name: createdSince
+ *         required: false
+ *         description: Solo relaciones creadas desde esta fecha o datetime ISO 8601 (createdAt).
+ *         schema:
+ *           type: string
+ *           example: "2024-05-01T00:00:00Z"
+ *       - in: query
+ *         name: updatedSince
+ *         required: false
+ *         description: Solo relaciones modificadas desde esta fecha o datetime ISO 8601 (updatedAt).
+ *         schema:
+ *           type: string
+ *           example: "2024-05-01"
+ *       - in: path
+ *         name: relation
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tipo de relación.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Cantidad máxima de relaciones por página (1 a 1000, por defecto 100).
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor devuelto como nextCursor en la página anterior.
+ *       - in: query
+ *         name: orderBy
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Propiedad de la relación por la cual ordenar.
+ *       - in: query
+ *         name: fields
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Propiedades de la relación a devolver, separadas por coma.
+ *       - in: query
+ *         name: direction
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
+ *         name: count
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true se incluye el total de relaciones que cumplen el filtro.
+ *     responses:
+ *       200:
+ *         description: Página de relaciones.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 relations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "type": "REACCIONA_A", "properties": { "tipo": "like", "version": 1 }, "from": { "labels": ["Usuario"], "id": 7, "name": "Ana López" }, "to": { "labels": ["Publicación"], "id": 3, "name": "Grafos en la práctica" } }]
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Filtros o parámetros de paginación inválidos.
+ *       500:
+ *         description: Error en el servidor al consultar las relaciones.
+ */
+router.get('/:relation', async (req, res) => {
+  const session = driver.session();
+  const relation = sanitizeLabel(req.params.relation);
+
+  try {
+    const response = await readRelations(session, {
+      match: `MATCH ()-[r:${relation}]->()`,
+      query: req.query
+    });
+    res.json(response);
+  } catch (error) {
+    console.error("Error al consultar relaciones:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * @swagger
+ * /relations/{label}/{id}/{relation}:
+ *   get:
+ *     summary: Lista las relaciones de un tipo de un nodo
+ *     description: Por ejemplo todas las PUBLICA de Usuario 7, o todas las REACCIONA_A que llegan a la Publicación 3 (endpoint=to). Admite los mismos filtros y paginación que /relations/{relation}.
+ *     tags:
+ *       - Relations
+ *     parameters:
+ *       - in: query
+ *         name: createdSince
+ *         required: false
+ *         description: Solo relaciones creadas desde esta fecha o datetime ISO 8601 (createdAt).
+ *         schema:
+ *           type: string
+ *           example: "2024-05-01T00:00:00Z"
+ *       - in: query
+ *         name: updatedSince
+ *         required: false
+ *         description: Solo relaciones modificadas desde esta fecha o datetime ISO 8601 (updatedAt).
+ *         schema:
+ *           type: string
+ *           example: "2024-05-01"
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Etiqueta del nodo.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del nodo.
+ *       - in: path
+ *         name: relation
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tipo de relación.
+ *       - in: query
+ *         name: endpoint
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [from, to, any]
+ *         description: from (por defecto) si el nodo es el inicio de la relación, to si es el fin, any para ambos.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Página de relaciones del nodo.
+ *       400:
+ *         description: Filtros, endpoint o parámetros de paginación inválidos.
+ *       404:
+ *         description: Nodo no encontrado.
+ *       500:
+ *         description: Error en el servidor al consultar las relaciones.
+ */
+router.get('/:label/:id/:relation', async (req, res) => {
+  const session = driver.session();
+  const label = sanitizeLabel(req.params.label);
+  const relation = sanitizeLabel(req.params.relation);
+  const id = parseInt(req.params.id, 10);
+  const endpoint = String(req.query.endpoint || 'from').toLowerCase();
+
+  const patterns = {
+    from: `MATCH (n:${label} {id: $id})-[r:${relation}]->()`,
+    to: `MATCH ()-[r:${relation}]->(n:${label} {id: $id})`,
+    any: `MATCH (n:${label} {id: $id})-[r:${relation}]-()`
+  };
+  if (!patterns[endpoint]) {
+    return res.status(400).json({ error: "El parámetro 'endpoint' debe ser from, to o any." });
+  }
+
+  try {
+    const exists = await session.run(`MATCH (n:${label} {id: $id}) WHERE ${notDeleted('n')} RETURN count(n) AS total`, { id });
+    if (exists.records[0].get('total').toNumber() === 0) {
+      return res.status(404).json({ error: "Nodo no encontrado." });
+    }
+
+    const response = await readRelations(session, {
+      match: patterns[endpoint],
+      params: { id },
+      query: req.query,
+      reservedKeys: ['endpoint']
+    });
+    res.json(response);
+  } catch (error) {
+    console.error("Error al consultar relaciones del nodo:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * @swagger
+ * /relations/{label1}/{id1}/{relation}/{label2}/{id2}:
+ *   get:
+ *     summary: Obtiene la relación entre dos nodos
+ *     description: Devuelve la relación con sus propiedades y el resumen de ambos nodos. La versión se devuelve en el header ETag, para usarla con If-Match al actualizar. Si hay varias relaciones del mismo tipo entre los nodos, count indica cuántas.
+ *     tags:
+ *       - Relations
+ *     parameters:
+ *       - in: path
+ *         name: label1
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Etiqueta del nodo de inicio.
+ *       - in: path
+ *         name: id1
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del nodo de inicio.
+ *       - in: path
+ *         name: relation
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tipo de relación.
+ *       - in: path
+ *         name: label2
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Etiqueta del nodo de fin.
+ *       - in: path
+ *         name: id2
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del nodo de fin.
+ *     responses:
+ *       200:
+ *         description: Relación encontrada.
+ *       404:
+ *         description: Relación no encontrada.
+ *       500:
+ *         description: Error en el servidor al consultar la relación.
+ */
+router.get('/:label1/:id1/:relation/:label2/:id2', async (req, res) => {
+  const session = driver.session();
+  const label1 = sanitizeLabel(req.params.label1);
+  const label2 = sanitizeLabel(req.params.label2);
+  const relation = sanitizeLabel(req.params.relation);
+  const id1 = parseInt(req.params.id1, 10);
+  const id2 = parseInt(req.params.id2, 10);
+
+  try {
+    const result = await session.run(`
+      ${pairMatch(label1, relation, label2)}
+      RETURN ${relationResult()}
+      ORDER BY elementId(r)
+    `, { id1, id2 });
 
     if (result.records.length === 0) {
-      return res.status(404).json({ error: "No se pudieron encontrar los nodos especificados." });
+      return res.status(404).json({ error: "Relación no encontrada." });
     }
 
-    res.status(201).json({ message: "Relación creada exitosamente", relation: result.records[0].get("r").properties });
+    const relationData = relationFromRecord(result.records[0]);
+    setETag(res, result.records[0].get('props'));
+    res.json({ relation: relationData, count: result.records.length });
   } catch (error) {
-    console.error("Error al crear la relación:", error);
-    res.status(500).json({ error: error.message });
+    console.error("Error al consultar la relación:", error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
   } finally {
     await session.close();
   }
@@ -143,6 +797,12 @@ router.post('/:label1/:id1/:relation/:label2/:id2', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del segundo nodo.
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag recibido al leer la relación; si la relación cambió desde entonces la escritura se rechaza con 412.
  *     requestBody:
  *       required: true
  *       content:
@@ -173,6 +833,10 @@ router.post('/:label1/:id1/:relation/:label2/:id2', async (req, res) => {
  *         description: No se proporcionaron propiedades para actualizar.
  *       404:
  *         description: Relación no encontrada.
+ *       412:
+ *         description: La versión de la relación no coincide con If-Match.
+ *       422:
+ *         description: Las propiedades no cumplen las reglas del tipo de relación.
  *       500:
  *         description: Error en el servidor al actualizar la relación.
  */
@@ -184,29 +848,32 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
     const relation = sanitizeLabel(req.params.relation);
     const id1 = parseInt(req.params.id1);
     const id2 = parseInt(req.params.id2);
-    const properties = req.body;
+    const properties = withoutSystemFields(req.body || {});
   
-    if (!properties || Object.keys(properties).length === 0) {
+    if (Object.keys(properties).length === 0) {
       return res.status(400).json({ error: "Se requieren propiedades para agregar." });
     }
   
     try {
-      const setQuery = Object.keys(properties).map(key => `r.${key} = $${key}`).join(', ');
-      const query = `
-        MATCH (a:${label1} {id: $id1})-[r:${relation}]->(b:${label2} {id: $id2})
-        SET ${setQuery}
-        RETURN r
-      `;
-  
-      const result = await session.run(query, { id1, id2, ...properties });
+      const expected = parseIfMatch(req);
+      const set = buildSet('r', validateRelation(relation, { properties }, { partial: true }));
+      const match = pairMatch(label1, relation, label2);
+
+      const updated = await session.executeWrite(async tx => {
+        const version = await lockForWrite(tx, { match, alias: 'r', params: { id1, id2 }, expected });
+        if (version === null) return null;
+        const result = await tx.run(`${match} SET ${set.clause}, ${bumpVersion('r')} RETURN r`, { id1, id2, ...set.params });
+        return result.records[0].get('r').properties;
+      });
   
-      if (result.records.length === 0) {
+      if (!updated) {
         return res.status(404).json({ error: "Relación no encontrada." });
       }
   
-      res.json({ message: "Propiedades agregadas con éxito", relation: result.records[0].get("r").properties });
+      setETag(res, updated);
+      res.json({ message: "Propiedades agregadas con éxito", relation: toPlain(updated) });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -232,6 +899,12 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  *         schema:
  *           type: string
  *         description: Tipo de relación que se desea actualizar.
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true no se escribe nada; se devuelve la cantidad de relaciones afectadas y una muestra con sus propiedades antes y después del cambio.
  *     requestBody:
  *       required: true
  *       content:
@@ -241,7 +914,7 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  *             properties:
  *               filter:
  *                 type: object
- *                 description: Criterios para filtrar las relaciones a actualizar.
+ *                 description: Criterios para filtrar las relaciones a actualizar. Admite la misma gramática de operadores que /nodes/read.
  *                 example: { "estado": "Pendiente" }
  *               properties:
  *                 type: object
@@ -260,6 +933,8 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  *                   example: "Propiedades agregadas a 3 relaciones."
  *       400:
  *         description: No se proporcionaron propiedades o filtros para actualizar.
+ *       422:
+ *         description: Las propiedades no cumplen las reglas del tipo de relación.
  *       500:
  *         description: Error en el servidor al actualizar las relaciones.
  */
@@ -267,7 +942,8 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
   router.patch('/update/:relation', async (req, res) => {
     const session = driver.session();
     const relation = sanitizeLabel(req.params.relation);
-    const { filter, properties } = req.body;
+    const { filter } = req.body;
+    const properties = req.body.properties && withoutSystemFields(req.body.properties);
   
     if (!properties || Object.keys(properties).length === 0) {
       return res.status(400).json({ error: "Se requieren propiedades para agregar." });
@@ -277,20 +953,26 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
     }
   
     try {
-      const filterConditions = Object.keys(filter).map(key => `r.${key} = $${key}`).join(' AND ');
-      const setQuery = Object.keys(properties).map(key => `r.${key} = $${key}`).join(', ');
+      const values = validateRelation(relation, { properties }, { partial: true });
+      const { where, params: filterParams } = relationFilter(filter);
+
+      if (isDryRun(req.query)) {
+        return res.json(await previewRelations(session, relation, where, filterParams, before => applySet(before, values)));
+      }
+
+      const set = buildSet('r', values);
   
       const query = `
         MATCH ()-[r:${relation}]->()
-        WHERE ${filterConditions}
-        SET ${setQuery}
+        WHERE ${where}
+        SET ${set.clause}, ${bumpVersion('r')}
         RETURN count(r) AS updatedCount
       `;
   
-      const result = await session.run(query, { ...filter, ...properties });
+      const result = await session.run(query, { ...set.params, ...filterParams });
       res.json({ message: `Propiedades agregadas a ${result.records[0].get("updatedCount").low} relaciones.` });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -306,7 +988,7 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  * /relations/update/{label1}/{id1}/{relation}/{label2}/{id2}:
  *   put:
  *     summary: Reemplaza todas las propiedades de una relación entre dos nodos
- *     description: Permite actualizar completamente las propiedades de una relación específica entre dos nodos en la base de datos de Neo4j.
+ *     description: Reemplaza el mapa completo de propiedades de la relación; se conservan version y los campos de sistema. La nueva versión se devuelve en el header ETag.
  *     tags:
  *       - Relations
  *     parameters:
@@ -340,6 +1022,12 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  *         schema:
  *           type: integer
  *         description: ID del segundo nodo.
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag recibido al leer la relación; si la relación cambió desde entonces la escritura se rechaza con 412.
  *     requestBody:
  *       required: true
  *       content:
@@ -370,6 +1058,10 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  *         description: No se proporcionaron propiedades para actualizar.
  *       404:
  *         description: Relación no encontrada.
+ *       412:
+ *         description: La versión de la relación no coincide con If-Match.
+ *       422:
+ *         description: Las propiedades no cumplen las reglas del tipo de relación.
  *       500:
  *         description: Error en el servidor al actualizar la relación.
  */
@@ -381,29 +1073,33 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
     const relation = sanitizeLabel(req.params.relation);
     const id1 = parseInt(req.params.id1);
     const id2 = parseInt(req.params.id2);
-    const properties = req.body;
+    const properties = withoutSystemFields(req.body || {});
   
-    if (!properties || Object.keys(properties).length === 0) {
+    if (Object.keys(properties).length === 0) {
       return res.status(400).json({ error: "Se requieren propiedades para actualizar." });
     }
   
     try {
-      const setQuery = Object.keys(properties).map(key => `r.${key} = $${key}`).join(', ');
-      const query = `
-        MATCH (a:${label1} {id: $id1})-[r:${relation}]->(b:${label2} {id: $id2})
-        SET ${setQuery}
-        RETURN r
-      `;
-  
-      const result = await session.run(query, { id1, id2, ...properties });
+      const expected = parseIfMatch(req);
+      assertPropertyKeys(Object.keys(properties));
+      const values = validateRelation(relation, { properties });
+      const match = pairMatch(label1, relation, label2);
+
+      const updated = await session.executeWrite(async tx => {
+        const version = await lockForWrite(tx, { match, alias: 'r', params: { id1, id2 }, expected });
+        if (version === null) return null;
+        const result = await tx.run(`${match} ${replaceClause('r', 'properties')} RETURN r`, { id1, id2, properties: values });
+        return result.records[0].get('r').properties;
+      });
   
-      if (result.records.length === 0) {
+      if (!updated) {
         return res.status(404).json({ error: "Relación no encontrada." });
       }
   
-      res.json({ message: "Propiedades actualizadas con éxito", relation: result.records[0].get("r").properties });
+      setETag(res, updated);
+      res.json({ message: "Propiedades reemplazadas con éxito", relation: toPlain(updated) });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -452,6 +1148,12 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  *         schema:
  *           type: integer
  *         description: ID del segundo nodo.
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag recibido al leer la relación; si la relación cambió desde entonces la escritura se rechaza con 412.
  *     requestBody:
  *       required: true
  *       content:
@@ -478,6 +1180,10 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  *                   example: "Propiedades eliminadas: fechaInicio, estado"
  *       400:
  *         description: No se proporcionaron propiedades para eliminar.
+ *       412:
+ *         description: La versión de la relación no coincide con If-Match.
+ *       422:
+ *         description: Se intenta eliminar una propiedad obligatoria del tipo de relación.
  *       500:
  *         description: Error en el servidor al eliminar propiedades de la relación.
  */
@@ -496,17 +1202,27 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
     }
   
     try {
-      const removeQuery = properties.map(key => `REMOVE r.${key}`).join(' ');
-      const query = `
-        MATCH (a:${label1} {id: $id1})-[r:${relation}]->(b:${label2} {id: $id2})
-        ${removeQuery}
-        RETURN r
-      `;
-  
-      await session.run(query, { id1, id2 });
-      res.json({ message: `Propiedades eliminadas: ${properties.join(', ')}` });
+      const expected = parseIfMatch(req);
+      const removeQuery = buildRemove('r', properties);
+      rejectSystemFields(properties);
+      validateRelationRemoval(relation, properties);
+      const match = pairMatch(label1, relation, label2);
+
+      const updated = await session.executeWrite(async tx => {
+        const version = await lockForWrite(tx, { match, alias: 'r', params: { id1, id2 }, expected });
+        if (version === null) return null;
+        const result = await tx.run(`${match} ${removeQuery} SET ${bumpVersion('r')} RETURN r`, { id1, id2 });
+        return result.records[0].get('r').properties;
+      });
+
+      if (!updated) {
+        return res.status(404).json({ error: "Relación no encontrada." });
+      }
+
+      setETag(res, updated);
+      res.json({ message: `Propiedades eliminadas: ${properties.join(', ')}`, relation: toPlain(updated) });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -522,7 +1238,7 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  * /relations/update/{relation}:
  *   put:
  *     summary: Reemplaza todas las propiedades de múltiples relaciones
- *     description: Permite actualizar completamente las propiedades de múltiples relaciones en la base de datos de Neo4j utilizando filtros.
+ *     description: Reemplaza el mapa completo de propiedades de cada relación que cumple el filtro; se conservan version y los campos de sistema.
  *     tags:
  *       - Relations
  *     parameters:
@@ -532,6 +1248,12 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  *         schema:
  *           type: string
  *         description: Tipo de relación que se desea actualizar.
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true no se escribe nada; se devuelve la cantidad de relaciones afectadas y una muestra con sus propiedades antes y después del cambio.
  *     requestBody:
  *       required: true
  *       content:
@@ -541,7 +1263,7 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  *             properties:
  *               filter:
  *                 type: object
- *                 description: Criterios para filtrar las relaciones a actualizar.
+ *                 description: Criterios para filtrar las relaciones a actualizar. Admite la misma gramática de operadores que /nodes/read.
  *                 example: { "estado": "Pendiente" }
  *               properties:
  *                 type: object
@@ -560,6 +1282,8 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
  *                   example: "Propiedades actualizadas en 3 relaciones."
  *       400:
  *         description: No se proporcionaron propiedades o filtros para actualizar.
+ *       422:
+ *         description: Las propiedades no cumplen las reglas del tipo de relación.
  *       500:
  *         description: Error en el servidor al actualizar las relaciones.
  */
@@ -567,7 +1291,8 @@ router.patch('/update/:label1/:id1/:relation/:label2/:id2', async (req, res) =>
 router.put('/update/:relation', async (req, res) => {
     const session = driver.session();
     const relation = sanitizeLabel(req.params.relation);
-    const { filter, properties } = req.body;
+    const { filter } = req.body;
+    const properties = req.body.properties && withoutSystemFields(req.body.properties);
   
     if (!properties || Object.keys(properties).length === 0) {
       return res.status(400).json({ error: "Se requieren propiedades para actualizar." });
@@ -578,23 +1303,28 @@ router.put('/update/:relation', async (req, res) => {
   
     try {
       // Construcción de condiciones del filtro
-      const filterConditions = Object.keys(filter).map(key => `r.${key} = $${key}`).join(' AND ');
-      const setQuery = Object.keys(properties).map(key => `r.${key} = $${key}`).join(', ');
+      assertPropertyKeys(Object.keys(properties));
+      const values = validateRelation(relation, { properties });
+      const { where, params: filterParams } = relationFilter(filter);
+
+      if (isDryRun(req.query)) {
+        return res.json(await previewRelations(session, relation, where, filterParams, before => applyReplace(before, values)));
+      }
   
       const query = `
         MATCH ()-[r:${relation}]->()
-        WHERE ${filterConditions}
-        SET ${setQuery}
+        WHERE ${where}
+        ${replaceClause('r', 'properties')}
         RETURN count(r) AS updatedCount
       `;
   
-      const result = await session.run(query, { ...filter, ...properties });
+      const result = await session.run(query, { properties: values, ...filterParams });
       const updatedCount = result.records[0].get("updatedCount").low;
   
-      res.json({ message: `Propiedades actualizadas en ${updatedCount} relaciones.` });
+      res.json({ message: `Propiedades reemplazadas en ${updatedCount} relaciones.` });
     } catch (error) {
       console.error("Error al actualizar múltiples relaciones:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -620,6 +1350,12 @@ router.put('/update/:relation', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Tipo de relación de la cual se eliminarán propiedades.
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true no se escribe nada; se devuelve la cantidad de relaciones afectadas y una muestra con sus propiedades antes y después del cambio.
  *     requestBody:
  *       required: true
  *       content:
@@ -629,7 +1365,7 @@ router.put('/update/:relation', async (req, res) => {
  *             properties:
  *               filter:
  *                 type: object
- *                 description: Criterios para filtrar las relaciones a modificar.
+ *                 description: Criterios para filtrar las relaciones a modificar. Admite la misma gramática de operadores que /nodes/read.
  *                 example: { "estado": "Pendiente" }
  *               properties:
  *                 type: array
@@ -650,6 +1386,8 @@ router.put('/update/:relation', async (req, res) => {
  *                   example: "Propiedades eliminadas en 5 relaciones."
  *       400:
  *         description: No se proporcionaron propiedades o filtros para eliminar.
+ *       422:
+ *         description: Se intenta eliminar una propiedad obligatoria del tipo de relación.
  *       500:
  *         description: Error en el servidor al eliminar propiedades de las relaciones.
  */
@@ -667,23 +1405,30 @@ router.put('/update/:relation', async (req, res) => {
     }
   
     try {
-      const filterConditions = Object.keys(filter).map(key => `r.${key} = $${key}`).join(' AND ');
-      const removeQuery = properties.map(key => `REMOVE r.${key}`).join(' ');
+      const removeQuery = buildRemove('r', properties);
+      rejectSystemFields(properties);
+      validateRelationRemoval(relation, properties);
+      const { where, params: filterParams } = relationFilter(filter);
+
+      if (isDryRun(req.query)) {
+        return res.json(await previewRelations(session, relation, where, filterParams, before => applyRemove(before, properties)));
+      }
   
       const query = `
         MATCH ()-[r:${relation}]->()
-        WHERE ${filterConditions}
+        WHERE ${where}
         ${removeQuery}
+        SET ${bumpVersion('r')}
         RETURN count(r) AS updatedCount
       `;
   
-      const result = await session.run(query, { ...filter });
+      const result = await session.run(query, filterParams);
       const updatedCount = result.records[0].get("updatedCount").low;
   
       res.json({ message: `Propiedades eliminadas en ${updatedCount} relaciones.` });
     } catch (error) {
       console.error("Error al eliminar propiedades de múltiples relaciones:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -733,6 +1478,12 @@ router.put('/update/:relation', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del segundo nodo.
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag recibido al leer la relación; si la relación cambió desde entonces la escritura se rechaza con 412.
  *     responses:
  *       200:
  *         description: Relación eliminada con éxito.
@@ -746,6 +1497,8 @@ router.put('/update/:relation', async (req, res) => {
  *                   example: "Relación SIGUE_A eliminada exitosamente entre Usuario (ID 1) y Usuario (ID 2)."
  *       404:
  *         description: Relación no encontrada.
+ *       412:
+ *         description: La versión de la relación no coincide con If-Match.
  *       500:
  *         description: Error en el servidor al eliminar la relación.
  */
@@ -759,28 +1512,25 @@ router.delete('/:label1/:id1/:relation/:label2/:id2', async (req, res) => {
     const id2 = parseInt(req.params.id2);
   
     try {
-      // Verificar si la relación existe
-      const checkQuery = `
-        MATCH (a:${label1} {id: $id1})-[r:${relation}]->(b:${label2} {id: $id2})
-        RETURN r
-      `;
-      const checkResult = await session.run(checkQuery, { id1, id2 });
+      const expected = parseIfMatch(req);
+      const match = pairMatch(label1, relation, label2);
+
+      const deleted = await session.executeWrite(async tx => {
+        // Verificar si la relación existe y que If-Match coincida antes de eliminarla
+        const version = await lockForWrite(tx, { match, alias: 'r', params: { id1, id2 }, expected });
+        if (version === null) return false;
+        await tx.run(`${match} DELETE r`, { id1, id2 });
+        return true;
+      });
   
-      if (checkResult.records.length === 0) {
+      if (!deleted) {
         return res.status(404).json({ error: "Relación no encontrada." });
       }
   
-      // Eliminar la relación
-      const deleteQuery = `
-        MATCH (a:${label1} {id: $id1})-[r:${relation}]->(b:${label2} {id: $id2})
-        DELETE r
-      `;
-      await session.run(deleteQuery, { id1, id2 });
-  
       res.json({ message: `Relación ${relation} eliminada exitosamente entre ${label1} (ID ${id1}) y ${label2} (ID ${id2}).` });
     } catch (error) {
       console.error("Error al eliminar relación:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
@@ -806,6 +1556,12 @@ router.delete('/:label1/:id1/:relation/:label2/:id2', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Tipo de relación que se desea eliminar.
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true no se elimina nada; se devuelve la cantidad de relaciones afectadas y una muestra de ellas.
  *     requestBody:
  *       required: true
  *       content:
@@ -815,7 +1571,7 @@ router.delete('/:label1/:id1/:relation/:label2/:id2', async (req, res) => {
  *             properties:
  *               filter:
  *                 type: object
- *                 description: Criterios para seleccionar las relaciones a eliminar.
+ *                 description: Criterios para seleccionar las relaciones a eliminar. Admite la misma gramática de operadores que /nodes/read.
  *                 example: { "estado": "Inactivo" }
  *     responses:
  *       200:
@@ -847,11 +1603,15 @@ router.delete('/:label1/:id1/:relation/:label2/:id2', async (req, res) => {
   
     try {
       // Construcción de condiciones del filtro
-      const filterConditions = Object.keys(filter).map(key => `r.${key} = $${key}`).join(' AND ');
+      const { where, params: filterParams } = relationFilter(filter);
+
+      if (isDryRun(req.query)) {
+        return res.json(await previewRelations(session, relation, where, filterParams, null));
+      }
   
       // Verificar cuántas relaciones cumplen el filtro
-      const countQuery = `MATCH ()-[r:${relation}]->() WHERE ${filterConditions} RETURN count(r) AS total`;
-      const countResult = await session.run(countQuery, filter);
+      const countQuery = `MATCH ()-[r:${relation}]->() WHERE ${where} RETURN count(r) AS total`;
+      const countResult = await session.run(countQuery, filterParams);
       const total = countResult.records[0].get("total").low;
   
       if (total === 0) {
@@ -859,13 +1619,13 @@ router.delete('/:label1/:id1/:relation/:label2/:id2', async (req, res) => {
       }
   
       // Eliminar las relaciones
-      const deleteQuery = `MATCH ()-[r:${relation}]->() WHERE ${filterConditions} DELETE r`;
-      await session.run(deleteQuery, filter);
+      const deleteQuery = `MATCH ()-[r:${relation}]->() WHERE ${where} DELETE r`;
+      await session.run(deleteQuery, filterParams);
   
       res.json({ message: `${total} relaciones ${relation} eliminadas exitosamente.` });
     } catch (error) {
       console.error("Error al eliminar múltiples relaciones:", error);
-      res.status(500).json({ error: error.message });
+      res.status(error.status || 500).json({ error: error.message, details: error.details });
     } finally {
       await session.close();
     }
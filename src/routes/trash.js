@@ -0,0 +1,268 @@
+const express = require('express');
+const neo4j = require('neo4j-driver');
+const router = express.Router();
+const { driver } = require('../db');
+const { parsePagination, buildPagination, buildPage } = require('../lib/pagination');
+const { TRASH_RETENTION_DAYS } = require('../lib/softDelete');
+const { toPlain } = require('../lib/values');
+const { sanitizeLabel } = require('../lib/queryBuilder');
+
+/**
+ * 1️⃣ Listar los nodos en la papelera
+ * GET /trash
+ */
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     summary: Lista los nodos eliminados lógicamente
+ *     description: Retorna los nodos en la papelera, del más reciente al más antiguo, con paginación por cursor.
+ *     tags:
+ *       - Trash
+ *     parameters:
+ *       - in: query
+ *         name: label
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Filtra por label.
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Cantidad máxima de nodos por página.
+ *       - in: query
+ *         name: after
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Cursor devuelto como nextCursor en la página anterior.
+ *     responses:
+ *       200:
+ *         description: Página de nodos en la papelera.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 retentionDays:
+ *                   type: integer
+ *                   example: 30
+ *                 nodes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   example: [{ "labels": ["Usuario"], "id": 7, "deletedAt": "2024-05-01T10:00:00Z", "purgeableAt": "2024-05-31T10:00:00Z", "relationships": 4, "properties": { "nombre": "Ana López" } }]
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Parámetros de paginación inválidos.
+ *       500:
+ *         description: Error en el servidor al consultar la papelera.
+ */
+router.get('/', async (req, res) => {
+  const session = driver.session();
+  const label = req.query.label ? sanitizeLabel(String(req.query.label)) : null;
+
+  try {
+    const pagination = parsePagination(
+      { ...req.query, orderBy: 'eliminadoEn', direction: req.query.direction || 'desc' }
+    );
+    const page = buildPagination('n', pagination, { tiebreaker: 'elementId(n)' });
+    const conditions = ['n.eliminado = true'];
+    if (page.condition) conditions.push(page.condition);
+
+    const query = `
+      MATCH (n${label ? `:${label}` : ''})
+      WHERE ${conditions.join(' AND ')}
+      OPTIONAL MATCH (n)-[r]-()
+      WHERE r.eliminado = true
+      WITH n, count(r) AS relationships
+      RETURN n, relationships, ${page.sortReturn}
+      ${page.orderClause}
+      ${page.limitClause}
+    `;
+    const result = await session.run(query, page.params);
+
+    const { items: nodes, nextCursor } = buildPage(result.records, pagination, record => {
+      const node = record.get('n');
+      const { eliminado, eliminadoEn, eliminacion, ...properties } = node.properties;
+      return {
+        labels: node.labels,
+        id: toPlain(properties.id),
+        deletedAt: toPlain(eliminadoEn),
+        purgeableAt: eliminadoEn
+          ? new Date(new Date(eliminadoEn.toString()).getTime() + TRASH_RETENTION_DAYS * 86400000).toISOString()
+          : null,
+        deletionId: eliminacion,
+        relationships: record.get('relationships').toNumber(),
+        properties: toPlain(properties)
+      };
+    });
+
+    res.json({ retentionDays: TRASH_RETENTION_DAYS, nodes, nextCursor });
+  } catch (error) {
+    console.error("Error al consultar la papelera:", error);
+    res.status(error.status || 500).json({ error: error.message });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 2️⃣ Purgar la papelera
+ * DELETE /trash
+ * Elimina definitivamente los elementos que llevan más de `olderThanDays` días en la papelera.
+ * No se puede purgar nada más reciente que el período de retención configurado.
+ */
+
+/**
+ * @swagger
+ * /trash:
+ *   delete:
+ *     summary: Purga definitivamente la papelera
+ *     description: Elimina con DETACH DELETE los nodos (y las relaciones) que llevan en la papelera más días que olderThanDays. olderThanDays no puede ser menor que el período de retención (TRASH_RETENTION_DAYS, 30 por defecto).
+ *     tags:
+ *       - Trash
+ *     parameters:
+ *       - in: query
+ *         name: olderThanDays
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Antigüedad mínima en la papelera (por defecto el período de retención).
+ *       - in: query
+ *         name: label
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Purga solo los nodos de este label.
+ *     responses:
+ *       200:
+ *         description: Papelera purgada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Se purgaron 12 nodos y 30 relaciones."
+ *                 purged:
+ *                   type: object
+ *                   example: { "nodes": 12, "relationships": 30 }
+ *       400:
+ *         description: olderThanDays es inválido o menor que el período de retención.
+ *       500:
+ *         description: Error en el servidor al purgar la papelera.
+ */
+router.delete('/', async (req, res) => {
+  const session = driver.session();
+  const label = req.query.label ? sanitizeLabel(String(req.query.label)) : null;
+  const olderThanDays = req.query.olderThanDays !== undefined ? Number(req.query.olderThanDays) : TRASH_RETENTION_DAYS;
+
+  if (!Number.isInteger(olderThanDays) || olderThanDays < TRASH_RETENTION_DAYS) {
+    return res.status(400).json({
+      error: `olderThanDays debe ser un entero mayor o igual al período de retención (${TRASH_RETENTION_DAYS} días).`
+    });
+  }
+
+  try {
+    const purged = await session.executeWrite(async tx => {
+      const params = { days: neo4j.int(olderThanDays) };
+
+      // Relaciones en la papelera vencidas (incluye las de nodos que se purgan a continuación)
+      const relResult = await tx.run(`
+        MATCH (${label ? `:${label}` : ''})-[r]-()
+        WHERE r.eliminado = true AND r.eliminadoEn < datetime() - duration({days: $days})
+        WITH DISTINCT r
+        DELETE r
+        RETURN count(r) AS total
+      `, params);
+
+      const nodeResult = await tx.run(`
+        MATCH (n${label ? `:${label}` : ''})
+        WHERE n.eliminado = true AND n.eliminadoEn < datetime() - duration({days: $days})
+        DETACH DELETE n
+        RETURN count(n) AS total
+      `, params);
+
+      return {
+        nodes: nodeResult.records[0].get('total').toNumber(),
+        relationships: relResult.records[0].get('total').toNumber()
+      };
+    });
+
+    res.json({ message: `Se purgaron ${purged.nodes} nodos y ${purged.relationships} relaciones.`, purged });
+  } catch (error) {
+    console.error("Error al purgar la papelera:", error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    await session.close();
+  }
+});
+
+/**
+ * 3️⃣ Purgar un nodo específico de la papelera
+ * DELETE /trash/:label/:id
+ */
+
+/**
+ * @swagger
+ * /trash/{label}/{id}:
+ *   delete:
+ *     summary: Elimina definitivamente un nodo que está en la papelera
+ *     description: Purga explícita de un solo nodo, sin esperar el período de retención. Solo aplica a nodos que ya están en la papelera.
+ *     tags:
+ *       - Trash
+ *     parameters:
+ *       - in: path
+ *         name: label
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Etiqueta del nodo.
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del nodo.
+ *     responses:
+ *       200:
+ *         description: Nodo purgado.
+ *       404:
+ *         description: No hay un nodo con ese ID en la papelera.
+ *       500:
+ *         description: Error en el servidor al purgar el nodo.
+ */
+router.delete('/:label/:id', async (req, res) => {
+  const session = driver.session();
+  const label = sanitizeLabel(req.params.label);
+  const id = parseInt(req.params.id, 10);
+
+  try {
+    const result = await session.executeWrite(tx => tx.run(`
+      MATCH (n:${label} {id: $id})
+      WHERE n.eliminado = true
+      DETACH DELETE n
+      RETURN count(n) AS total
+    `, { id }));
+
+    if (result.records[0].get('total').toNumber() === 0) {
+      return res.status(404).json({ error: "No hay un nodo con ese ID en la papelera." });
+    }
+
+    res.json({ message: `Nodo ${label} con ID ${id} eliminado definitivamente.` });
+  } catch (error) {
+    console.error("Error al purgar nodo:", error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    await session.close();
+  }
+});
+
+module.exports = router;